@@ -34,7 +34,7 @@ import {
 import { randomBytes } from "crypto";
 
 import {
-  readData, writeData, addNumbersToField, addIgnorePhrase, checkNumber,
+  readData, writeData, addNumbersToField, addIgnorePhrase, checkNumber, removeEntry,
 } from "../core/blockData.js";
 
 const execAsync = promisify(exec);
@@ -301,10 +301,12 @@ app.get("/api/bot/:id/stats", requireAuth, scopeToBot, (req, res) =>
   proxyBot(botById(req.params.id), "/stats", res));
 
 // ── Ride analytics — read the bot's append-only rides.jsonl, aggregate by city ──
+// byPair counts "Pickup → Drop" routes; lines logged before drop was recorded
+// (no `drop` key) or with an unknown end are left out of the pairs.
 const PERIOD_MS = { day: 86400000, week: 604800000, month: 2592000000, all: 0 };
 function aggregateRides(dir, period) {
   const file = join(dir, "rides.jsonl");
-  const out = { period, total: 0, byCity: {} };
+  const out = { period, total: 0, byCity: {}, byPair: {} };
   if (!existsSync(file)) return out;
   const since = PERIOD_MS[period] ? Date.now() - PERIOD_MS[period] : 0;
   for (const line of readFileSync(file, "utf8").split("\n")) {
@@ -313,6 +315,10 @@ function aggregateRides(dir, period) {
     if (r.t < since) continue;
     out.total++;
     out.byCity[r.city] = (out.byCity[r.city] || 0) + 1;
+    if (r.drop && r.drop !== "unknown" && r.city !== "unknown") {
+      const pair = `${r.city} → ${r.drop}`;
+      out.byPair[pair] = (out.byPair[pair] || 0) + 1;
+    }
   }
   return out;
 }
@@ -398,9 +404,7 @@ app.post("/api/block/remove", requireAuth, requireAdmin, (req, res) => {
       return res.status(400).json({ error: "Invalid field" });
     }
     const data = readData();
-    const before = data[field].length;
-    data[field] = data[field].filter((v) => v !== value);
-    const removed = before - data[field].length;
+    const removed = removeEntry(data, field, value);
     if (removed) writeData(data);
     audit("admin", "block-remove", `${field}:${value}`);
     res.json({ ok: true, removed });
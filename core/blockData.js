@@ -10,12 +10,19 @@
  *   9053648269   +918920836257   "+91 77079 30908"   91 88207 36257
  *   leading-0 (079...)   comma/space/newline separated lists
  * All normalize to bare 10-digit numbers, with dedup against existing entries.
+ *
+ * Entries may be plain strings or rich { pattern, type, expiresAt, reason,
+ * addedBy } rules (see blockRules.js). Dedup and removal compare the pattern;
+ * passing `meta` to an add function stores the new entry as a rich rule.
  * ============================================================================
  */
 
 import { readFileSync, writeFileSync } from "fs";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
+import {
+  BLOCK_LIST_KEYS, entryPattern, entryType, isEntryExpired, validateEntry,
+} from "./blockRules.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 export const DATA_PATH = join(__dirname, "blocked-data.json");
@@ -61,39 +68,105 @@ export function parseNumbers(input) {
   return { numbers, invalid };
 }
 
+/**
+ * Plain string when there is no metadata, otherwise a rich rule.
+ * meta: { type?, expiresAt?, reason?, addedBy? } — empty values are dropped.
+ */
+function makeEntry(pattern, meta) {
+  if (!meta) return pattern;
+  const entry = { pattern };
+  for (const k of ["type", "expiresAt", "reason", "addedBy"]) {
+    if (meta[k] !== undefined && meta[k] !== null && meta[k] !== "") entry[k] = meta[k];
+  }
+  return Object.keys(entry).length === 1 ? pattern : entry;
+}
+
 /**
  * Add parsed numbers to a field (blockedPhoneNumbers | blockedSenders), dedup-safe.
  * Does NOT write — caller persists via writeData(). Returns a report.
  */
-export function addNumbersToField(data, field, input) {
+export function addNumbersToField(data, field, input, meta = null) {
   const { numbers, invalid } = parseNumbers(input);
-  const set = new Set(data[field]);
+  const set = new Set(data[field].map(entryPattern));
   const added = [];
   const dupes = [];
   for (const d of numbers) {
     if (set.has(d)) { dupes.push(d); continue; }
     set.add(d);
     added.push(d);
+    // Appended, never sorted — existing first, new last — so the dashboard can
+    // show most-recent additions first by reversing. No sort = recency kept.
+    data[field].push(makeEntry(d, meta));
   }
-  // Preserve insertion order (existing first, new appended) so the dashboard can
-  // show most-recent additions first by reversing. No sort = recency kept.
-  data[field] = [...set];
   return { added, dupes, invalid };
 }
 
 /** Add a single ignore phrase, dedup-safe (NFC + lowercase comparison). */
-export function addIgnorePhrase(data, phrase) {
+export function addIgnorePhrase(data, phrase, meta = null) {
   const trimmed = String(phrase || "").trim();
   if (!trimmed) return { added: false, reason: "empty" };
   const key = trimmed.normalize("NFC").toLowerCase();
   const exists = data.ignoreIfContains.some(
-    (k) => k.normalize("NFC").toLowerCase() === key
+    (k) => entryPattern(k).normalize("NFC").toLowerCase() === key
   );
   if (exists) return { added: false, reason: "duplicate", phrase: trimmed };
-  data.ignoreIfContains.push(trimmed);
+  data.ignoreIfContains.push(makeEntry(trimmed, meta));
   return { added: true, phrase: trimmed };
 }
 
+/**
+ * Add a regex rule to any list, dedup-safe on the pattern. Validated with the
+ * same rules the bots compile with, so a bad regex never reaches the file.
+ * meta: { expiresAt?, reason?, addedBy? }
+ */
+export function addRegexRule(data, field, pattern, meta = {}) {
+  if (!BLOCK_LIST_KEYS.includes(field)) return { added: false, reason: "invalid field" };
+  const trimmed = String(pattern || "").trim();
+  if (!trimmed) return { added: false, reason: "empty" };
+  if (data[field].some((e) => entryPattern(e) === trimmed)) {
+    return { added: false, reason: "duplicate", pattern: trimmed };
+  }
+  const entry = makeEntry(trimmed, { ...meta, type: "regex" });
+  try {
+    validateEntry(field, entry);
+  } catch (err) {
+    return { added: false, reason: err.message, pattern: trimmed };
+  }
+  data[field].push(entry);
+  return { added: true, pattern: trimmed };
+}
+
+/** Remove entries whose pattern equals `value`. Returns how many were removed. */
+export function removeEntry(data, field, value) {
+  const before = data[field].length;
+  data[field] = data[field].filter((e) => entryPattern(e) !== value);
+  return before - data[field].length;
+}
+
+/**
+ * Drop expired entries from all lists (the bots already ignore them — this
+ * just tidies the file). Does NOT write. Returns the number removed.
+ */
+export function pruneExpired(data, now = Date.now()) {
+  let removed = 0;
+  for (const key of BLOCK_LIST_KEYS) {
+    const before = data[key].length;
+    data[key] = data[key].filter((e) => !isEntryExpired(e, now));
+    removed += before - data[key].length;
+  }
+  return removed;
+}
+
+// Does an ACTIVE entry of a number list match this 10-digit number?
+function numberListMatches(list, number, now = Date.now()) {
+  return list.some((e) => {
+    if (isEntryExpired(e, now)) return false;
+    return entryType("blockedPhoneNumbers", e) === "regex"
+      ? new RegExp(entryPattern(e), "iu").test(number)
+      : entryPattern(e) === number;
+  });
+}
+
 /** Check whether a number is already present in either number list. */
 export function checkNumber(data, input) {
   const { numbers } = parseNumbers(input);
@@ -101,7 +174,7 @@ export function checkNumber(data, input) {
   const d = numbers[0];
   return {
     number: d,
-    inBlockedPhoneNumbers: data.blockedPhoneNumbers.includes(d),
-    inBlockedSenders: data.blockedSenders.includes(d),
+    inBlockedPhoneNumbers: numberListMatches(data.blockedPhoneNumbers, d),
+    inBlockedSenders: numberListMatches(data.blockedSenders, d),
   };
 }
@@ -0,0 +1,129 @@
+/**
+ * ============================================================================
+ * blockRules.js — entry format + compiler for core/blocked-data.json lists
+ * ============================================================================
+ * Every list (blockedPhoneNumbers, blockedSenders, ignoreIfContains) accepts
+ * plain strings AND rich entries:
+ *
+ *   "9876543210"
+ *   { "pattern": "j\\s*[o0]\\s*b", "type": "regex",
+ *     "expiresAt": "2026-10-21T00:00:00+05:30", "reason": "job spam", "addedBy": "admin" }
+ *
+ *   type       number  (number lists, default)  — exact 10-digit match
+ *              phrase  (ignoreIfContains, default) — word / substring match
+ *              regex   (any list) — case-insensitive, Unicode; tested against
+ *                      each 10-digit number (number lists) or the lowercased
+ *                      message text (ignoreIfContains)
+ *   expiresAt  ISO date or Unix ms; the entry stops applying after it
+ *   reason / addedBy  free text, for humans (shown by scripts/block.js --list)
+ *
+ * compileBlockList() turns a list into what the matchers consume: strings stay
+ * strings (so every existing consumer keeps working) and regex rules become
+ * RegExp objects in the same array. Pure — shared by globalConfig.js (bots),
+ * blockData.js (control panel) and scripts/block.js (CLI).
+ * ============================================================================
+ */
+
+export const BLOCK_LIST_KEYS = ["blockedPhoneNumbers", "blockedSenders", "ignoreIfContains"];
+
+const ALLOWED_TYPES = {
+  blockedPhoneNumbers: ["number", "regex"],
+  blockedSenders:      ["number", "regex"],
+  ignoreIfContains:    ["phrase", "regex"],
+};
+
+/** Pattern string of a plain or rich entry — its identity for dedup/removal. */
+export function entryPattern(entry) {
+  return typeof entry === "string" ? entry : String(entry?.pattern ?? "");
+}
+
+/** Type of a plain or rich entry, with the list's default filled in. */
+export function entryType(key, entry) {
+  return (typeof entry === "object" && entry?.type) || ALLOWED_TYPES[key][0];
+}
+
+/** expiresAt as Unix ms, or null when the entry never expires. */
+export function entryExpiry(entry) {
+  if (typeof entry !== "object" || entry === null || entry.expiresAt == null) return null;
+  const ms = typeof entry.expiresAt === "number" ? entry.expiresAt : Date.parse(entry.expiresAt);
+  return Number.isNaN(ms) ? NaN : ms;
+}
+
+export function isEntryExpired(entry, now = Date.now()) {
+  const expiry = entryExpiry(entry);
+  return expiry !== null && expiry <= now;
+}
+
+/**
+ * Throws a descriptive Error when an entry is malformed for its list
+ * (unknown type, empty pattern, bad regex, unparseable expiresAt).
+ */
+export function validateEntry(key, entry) {
+  if (typeof entry === "string") {
+    if (!entry.trim()) throw new Error(`${key}: empty string entry`);
+    return;
+  }
+  if (typeof entry !== "object" || entry === null || Array.isArray(entry)) {
+    throw new Error(`${key}: entries must be strings or { pattern, type, ... } objects`);
+  }
+  const pattern = entryPattern(entry);
+  if (!pattern.trim()) throw new Error(`${key}: entry is missing "pattern"`);
+
+  const type = entryType(key, entry);
+  if (!ALLOWED_TYPES[key].includes(type)) {
+    throw new Error(`${key}: type "${type}" not allowed (use ${ALLOWED_TYPES[key].join(" | ")})`);
+  }
+  if (type === "regex") {
+    try {
+      new RegExp(pattern, "iu");
+    } catch (err) {
+      throw new Error(`${key}: invalid regex "${pattern}": ${err.message}`);
+    }
+  }
+  if (Number.isNaN(entryExpiry(entry))) {
+    throw new Error(`${key}: invalid expiresAt "${entry.expiresAt}" for "${pattern}"`);
+  }
+}
+
+function compileRegex(pattern) {
+  const regex = new RegExp(pattern, "iu");
+  // Shows up as "/pattern/iu" in /stats JSON instead of {}
+  regex.toJSON = () => regex.toString();
+  return regex;
+}
+
+/**
+ * Compiles one list for the matchers.
+ *
+ * @param {string} key     - One of BLOCK_LIST_KEYS
+ * @param {Array<string|Object>} entries
+ * @param {number} [now]
+ * @returns {{ values: Array<string|RegExp>, expired: number, nextExpiry: number|null }}
+ *   values     = active entries (phrases NFC + lowercased, as the matcher expects)
+ *   nextExpiry = soonest future expiresAt, so the caller can recompile then
+ */
+export function compileBlockList(key, entries, now = Date.now()) {
+  const values = [];
+  let expired = 0;
+  let nextExpiry = null;
+
+  for (const entry of entries) {
+    validateEntry(key, entry);
+    if (isEntryExpired(entry, now)) {
+      expired++;
+      continue;
+    }
+    const expiry = entryExpiry(entry);
+    if (expiry !== null && (nextExpiry === null || expiry < nextExpiry)) nextExpiry = expiry;
+
+    const pattern = entryPattern(entry);
+    if (entryType(key, entry) === "regex") {
+      values.push(compileRegex(pattern));
+    } else if (key === "ignoreIfContains") {
+      values.push(pattern.normalize("NFC").toLowerCase());
+    } else {
+      values.push(pattern);
+    }
+  }
+  return { values, expired, nextExpiry };
+}
@@ -0,0 +1,33 @@
+// Self-check for rich blocked-data.json entries. Run: node core/blockRules.test.mjs
+import assert from "assert";
+import { compileBlockList, validateEntry, entryPattern } from "./blockRules.js";
+
+const NOW = Date.parse("2026-10-19T10:00:00Z");
+
+// 1. Plain strings compile exactly as before (phrases NFC + lowercased).
+assert.deepStrictEqual(compileBlockList("ignoreIfContains", ["Good Morning"], NOW).values, ["good morning"]);
+assert.deepStrictEqual(compileBlockList("blockedPhoneNumbers", ["9876543210"], NOW).values, ["9876543210"]);
+
+// 2. Regex rules become case-insensitive RegExp objects that print as /…/iu.
+const [rule] = compileBlockList("ignoreIfContains", [{ pattern: "j\\s*[o0]\\s*b", type: "regex" }], NOW).values;
+assert.ok(rule.test("J 0 B opening"));
+assert.strictEqual(JSON.stringify([rule]), '["/j\\\\s*[o0]\\\\s*b/iu"]');
+
+// 3. Expired entries drop out; the soonest live expiry is reported.
+const list = [
+  { pattern: "9000000001", expiresAt: "2026-10-19T09:00:00Z" },
+  { pattern: "9000000002", expiresAt: NOW + 60_000 },
+  "9000000003",
+];
+const compiled = compileBlockList("blockedPhoneNumbers", list, NOW);
+assert.deepStrictEqual(compiled.values, ["9000000002", "9000000003"]);
+assert.strictEqual(compiled.expired, 1);
+assert.strictEqual(compiled.nextExpiry, NOW + 60_000);
+
+// 4. Malformed entries are rejected with a reason.
+assert.throws(() => validateEntry("ignoreIfContains", { pattern: "(" , type: "regex" }), /invalid regex/);
+assert.throws(() => validateEntry("blockedSenders", { pattern: "x", type: "phrase" }), /not allowed/);
+assert.throws(() => validateEntry("ignoreIfContains", { pattern: "x", expiresAt: "soon" }), /invalid expiresAt/);
+assert.strictEqual(entryPattern({ pattern: "spam", reason: "r" }), "spam");
+
+console.log("✅ blockRules: all checks passed");
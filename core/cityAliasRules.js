@@ -0,0 +1,123 @@
+/**
+ * ============================================================================
+ * cityAliasRules.js — validator for core/city-aliases.json
+ * ============================================================================
+ * Pure (no file I/O, no watchers) — shared by cityAliases.js, which loads and
+ * hot-reloads the file, and scripts/aliases.js, which must be able to list the
+ * errors of a file the bots would refuse to load.
+ * ============================================================================
+ */
+
+// Aliases are matched against normalizeText() output: NFC, lowercase, single spaces
+export const normalizeAlias = (alias) => alias.normalize("NFC").toLowerCase().trim().replace(/\s+/g, " ");
+
+/**
+ * Checks a parsed city-aliases.json.
+ *
+ * The file is a three-level hierarchy: area/alias → city → region.
+ *   "cities":  { "Mohali": ["mohali", "kharar", "sector 70 mohali"] }   (areas + spellings)
+ *   "regions": { "Tricity": ["Chandigarh", "Mohali", "Zirakpur"] }      (optional)
+ *
+ * @param {Object} data - The parsed file
+ * @returns {{ errors: string[], warnings: string[],
+ *             aliases: Object<string, string>, cities: string[],
+ *             regions: Object<string, string[]>, cityRegions: Object<string, string> }}
+ *   aliases     = normalized alias → canonical city (only meaningful without errors)
+ *   cityRegions = canonical city → region (a city belongs to at most one region)
+ */
+export function validateCityAliases(data) {
+  const errors   = [];
+  const warnings = [];
+  const aliases  = {};
+  const cities   = [];
+  const regions     = {};
+  const cityRegions = {};
+
+  const map = data?.cities;
+  if (typeof map !== "object" || map === null || Array.isArray(map)) {
+    return { errors: [`"cities" must be an object of "City": ["alias", ...]`], warnings, aliases, cities, regions, cityRegions };
+  }
+
+  for (const [city, list] of Object.entries(map)) {
+    if (!city.trim()) {
+      errors.push(`empty city name`);
+      continue;
+    }
+    cities.push(city);
+    if (!Array.isArray(list)) {
+      errors.push(`${city}: aliases must be an array`);
+      continue;
+    }
+    for (const raw of list) {
+      if (typeof raw !== "string" || !raw.trim()) {
+        errors.push(`${city}: alias ${JSON.stringify(raw)} must be a non-empty string`);
+        continue;
+      }
+      const alias = normalizeAlias(raw);
+      if (alias.split(" ").length > 3) {
+        warnings.push(`"${alias}" (${city}) has more than 3 words — never matched`);
+      }
+      if (!(alias in aliases)) {
+        aliases[alias] = city;
+      } else if (aliases[alias] === city) {
+        warnings.push(`"${alias}" listed twice under ${city}`);
+      } else {
+        errors.push(`"${alias}" is mapped to two cities: ${aliases[alias]} and ${city}`);
+      }
+    }
+  }
+
+  // Shadowing. isConfiguredCity() tries the canonical name before the alias map,
+  // and scanWords() tries 1 word, then 2, then 3 at each position.
+  const canonicalByLower = new Map(cities.map((city) => [city.toLowerCase(), city]));
+  const resolve = (phrase) => canonicalByLower.get(phrase) || aliases[phrase] || null;
+
+  for (const [alias, city] of Object.entries(aliases)) {
+    const canonical = canonicalByLower.get(alias);
+    if (canonical && canonical !== city) {
+      warnings.push(
+        `"${alias}" (${city}) shadows the canonical city ${canonical} — ` +
+        `bots routing ${canonical} see ${canonical}, all others see ${city}`
+      );
+    }
+
+    const words = alias.split(" ");
+    for (let n = 1; n < words.length; n++) {
+      const prefixCity = resolve(words.slice(0, n).join(" "));
+      if (prefixCity && prefixCity !== city) {
+        warnings.push(`"${alias}" (${city}) never matches — "${words.slice(0, n).join(" ")}" resolves to ${prefixCity} first`);
+        break;
+      }
+    }
+  }
+
+  // Regions: each city in at most one region, every city must exist
+  const regionMap = data.regions ?? {};
+  if (typeof regionMap !== "object" || regionMap === null || Array.isArray(regionMap)) {
+    errors.push(`"regions" must be an object of "Region": ["City", ...]`);
+  } else {
+    for (const [region, members] of Object.entries(regionMap)) {
+      if (!region.trim() || !Array.isArray(members)) {
+        errors.push(`region "${region}": must be a non-empty name with an array of cities`);
+        continue;
+      }
+      if (canonicalByLower.has(region.toLowerCase())) {
+        errors.push(`region "${region}" has the same name as a city`);
+        continue;
+      }
+      regions[region] = [];
+      for (const city of members) {
+        if (!cities.includes(city)) {
+          errors.push(`region "${region}": unknown city ${JSON.stringify(city)} (not in "cities")`);
+        } else if (cityRegions[city] && cityRegions[city] !== region) {
+          errors.push(`${city} is in two regions: ${cityRegions[city]} and ${region}`);
+        } else if (!cityRegions[city]) {
+          cityRegions[city] = region;
+          regions[region].push(city);
+        }
+      }
+    }
+  }
+
+  return { errors, warnings, aliases, cities, regions, cityRegions };
+}
@@ -0,0 +1,44 @@
+// Self-check for the city-aliases.json validator. Run: node core/cityAliasRules.test.mjs
+import assert from "assert";
+import fs from "fs";
+import { validateCityAliases } from "./cityAliasRules.js";
+
+// 1. Aliases are normalized (case, spaces, NFC) and mapped to their city.
+let r = validateCityAliases({ cities: { Mohali: ["Mohali", "  Sector  70   MOHALI "], Delhi: ["dli"] } });
+assert.deepStrictEqual(r.errors, []);
+assert.deepStrictEqual(r.aliases, { mohali: "Mohali", "sector 70 mohali": "Mohali", dli: "Delhi" });
+assert.deepStrictEqual(r.cities, ["Mohali", "Delhi"]);
+
+// 2. One alias under two cities is an error; twice under one city only a warning.
+r = validateCityAliases({ cities: { Delhi: ["vijay nagar"], Ghaziabad: ["vijay nagar"], Noida: ["noida", "noida"] } });
+assert.deepStrictEqual(r.errors, ['"vijay nagar" is mapped to two cities: Delhi and Ghaziabad']);
+assert.ok(r.warnings.some((w) => w.includes('"noida" listed twice')));
+
+// 3. Shadowing: an alias equal to another city's canonical name, and a multi-word
+//    alias whose first word(s) already resolve to a different city.
+r = validateCityAliases({ cities: { Dehradun: ["mussoorie"], Mussoorie: [], Noida: ["sector 16"], Faridabad: ["sector 16 faridabad"] } });
+assert.deepStrictEqual(r.errors, []);
+assert.ok(r.warnings.some((w) => w.startsWith('"mussoorie" (Dehradun) shadows the canonical city Mussoorie')));
+assert.ok(r.warnings.some((w) => w.startsWith('"sector 16 faridabad" (Faridabad) never matches')));
+
+// 4. Malformed input is rejected, not half-loaded.
+assert.strictEqual(validateCityAliases({}).errors.length, 1);
+assert.ok(validateCityAliases({ cities: { Delhi: "dli" } }).errors[0].includes("must be an array"));
+assert.ok(validateCityAliases({ cities: { Delhi: ["", 5] } }).errors.length === 2);
+
+// 5. Regions: city → region lookup; unknown cities and a city in two regions are errors.
+r = validateCityAliases({ cities: { Mohali: [], Zirakpur: [], Delhi: [] }, regions: { Tricity: ["Mohali", "Zirakpur"] } });
+assert.deepStrictEqual(r.errors, []);
+assert.deepStrictEqual(r.cityRegions, { Mohali: "Tricity", Zirakpur: "Tricity" });
+r = validateCityAliases({ cities: { Mohali: [], Delhi: [] }, regions: { Tricity: ["Mohali", "Kharar"], NCR: ["Delhi", "Mohali"] } });
+assert.deepStrictEqual(r.errors, [
+  'region "Tricity": unknown city "Kharar" (not in "cities")',
+  "Mohali is in two regions: Tricity and NCR",
+]);
+assert.ok(validateCityAliases({ cities: { Delhi: [] }, regions: { delhi: ["Delhi"] } }).errors[0].includes("same name as a city"));
+
+// 6. The committed data file passes.
+const data = JSON.parse(fs.readFileSync(new URL("./city-aliases.json", import.meta.url), "utf8"));
+assert.deepStrictEqual(validateCityAliases(data).errors, []);
+
+console.log("✅ cityAliasRules: all checks passed");
@@ -1,346 +1,145 @@
 /**
  * ============================================================================
- * CITY ALIASES DATABASE
+ * CITY ALIASES — loaded from core/city-aliases.json (hot-reloaded)
  * ============================================================================
- * Covers all 11 cities configured in Bot-1:
- * Delhi, Gurgaon, Noida, Ambala, Patiala, Chandigarh,
- * Zirakpur, Mohali, Amritsar, Ludhiana, Jalandhar
+ * The alias map used to be two hand-edited JS modules, so adding
+ * "sector 70 mohali" meant a deploy and a restart. It is now DATA:
  *
- * Intentional typos are included to catch real human errors.
+ *   { "cities": { "Mohali": ["mohali", "kharar", "sector 70 mohali", ...], ... } }
  *
- * QUOTE RULES:
- *   No quotes  → single-word keys   (delhi, mohali)
- *   Quotes required → keys with spaces/numbers/special chars ("sector 17")
+ * Every running bot watches the file (same pattern as blocked-data.json in
+ * globalConfig.js) and picks up edits within ~1s.
+ *
+ * VALIDATION (cityAliasRules.js — also run by scripts/aliases.js):
+ *   errors   → alias listed under two cities, malformed entries. Boot throws;
+ *              a live reload keeps the previous map.
+ *   warnings → alias that shadows another city's canonical name
+ *              ("mussoorie" → Dehradun hides the city Mussoorie), multi-word
+ *              alias that can never match because its first word(s) already
+ *              resolve to another city, duplicates within one city.
+ *
+ * HIERARCHY: area/alias → city → region. Neighbourhoods ("aerocity", "sector
+ * 17") are aliases of their city; "regions" groups cities into clusters
+ * (Tricity, NCR) that bots can route to via config.regionTargetGroups.
+ *
+ * CITY_ALIASES, CANONICAL_CITIES, REGIONS and CITY_REGIONS are mutated IN
+ * PLACE on reload, so filter.js and every bot keep valid references.
  * ============================================================================
  */
 
-export const CITY_ALIASES = {
-
-  // ==========================================================================
-  // DELHI (NCR Capital)
-  // ==========================================================================
-  dli: "Delhi",
-  delhi: "Delhi",
-  dehli: "Delhi",
-  dilli: "Delhi",
-  dilhi: "Delhi",
-  dilhe: "Delhi",
-  delhy: "Delhi",
-  "new delhi": "Delhi",
-  "delhi airport": "Delhi",
-  "delhi junction": "Delhi",
-  "delhi railway": "Delhi",
-  igi: "Delhi",
-  "igi airport": "Delhi",
-  "indira gandhi airport": "Delhi",
-  t1: "Delhi",
-  t2: "Delhi",
-  t3: "Delhi",
-  "terminal 1": "Delhi",
-  "terminal 2": "Delhi",
-  "terminal 3": "Delhi",
-  "terminal one": "Delhi",
-  "terminal two": "Delhi",
-  "terminal three": "Delhi",
-  terminal1: "Delhi",
-  terminal2: "Delhi",
-  terminal3: "Delhi",
-  aerocity: "Delhi",
-  "connaught place": "Delhi",
-  cp: "Delhi",
-  dwarka: "Delhi",
-  "dwarka sector": "Delhi",
-  "kashmere gate": "Delhi",
-  "kashmiri gate": "Delhi",
-  "kashmir gate": "Delhi",
-  "kashmeri gate": "Delhi",
-  "isbt delhi": "Delhi",
-  "anand vihar": "Delhi",
-  "anand vihar isbt": "Delhi",
-  "anand vihar terminal": "Delhi",
-  "sarai kale khan": "Delhi",
-  "sarai kale khan isbt": "Delhi",
-  nizamuddin: "Delhi",
-  "hazrat nizamuddin": "Delhi",
-  "nizamuddin railway": "Delhi",
-  "new delhi railway": "Delhi",
-  "new delhi station": "Delhi",
-  "old delhi": "Delhi",
-  "old delhi railway": "Delhi",
-  "old delhi station": "Delhi",
-  ndls: "Delhi",
-  "ajmeri gate": "Delhi",
-  "sarai rohilla": "Delhi",
-  "karol bagh": "Delhi",
-  paharganj: "Delhi",
-  "chandni chowk": "Delhi",
-  "india gate": "Delhi",
-  "red fort": "Delhi",
-  rohini: "Delhi",
-  pitampura: "Delhi",
-  "model town": "Delhi",
-  "civil lines": "Delhi",
-  shahdara: "Delhi",
-  "dilshad garden": "Delhi",
-  "preet vihar": "Delhi",
-  "mayur vihar": "Delhi",
-  kalkaji: "Delhi",
-  "nehru place": "Delhi",
-  "greater kailash": "Delhi",
-  gk: "Delhi",
-  "gk 1": "Delhi",
-  "gk 2": "Delhi",
-  "defence colony": "Delhi",
-  saket: "Delhi",
-  "hauz khas": "Delhi",
-  "green park": "Delhi",
-  "malviya nagar": "Delhi",
-  "lajpat nagar": "Delhi",
-  "south delhi": "Delhi",
-  "east delhi": "Delhi",
-  "west delhi": "Delhi",
-  "north delhi": "Delhi",
-  "central delhi": "Delhi",
-  janakpuri: "Delhi",
-  "rajouri garden": "Delhi",
-  "punjabi bagh": "Delhi",
-  "paschim vihar": "Delhi",
-  "kirti nagar": "Delhi",
-  "moti nagar": "Delhi",
-  "tilak nagar": "Delhi",
-  "subhash nagar": "Delhi",
-  "uttam nagar": "Delhi",
-  "lakshmi nagar": "Delhi",
-  "gtb nagar": "Delhi",
-  "vijay nagar delhi": "Delhi",
-  "shalimar bagh": "Delhi",
-  "vasant vihar": "Delhi",
-  "vasant kunj": "Delhi",
-  "r k puram": "Delhi",
-  munirka: "Delhi",
-  mahipalpur: "Delhi",
-  "vivek vihar": "Delhi",
-  "rajiv chowk": "Delhi",
-  sadar: "Delhi",
-  "sadar bazar": "Delhi",
-  okhla: "Delhi",
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { watchFile } from "fs";
+import { normalizeAlias, validateCityAliases } from "./cityAliasRules.js";
 
-  // ==========================================================================
-  // GURGAON / GURUGRAM
-  // ==========================================================================
-  ggn: "Gurgaon",
-  grg: "Gurgaon",
-  gurgaon: "Gurgaon",
-  gurgoan: "Gurgaon",
-  gurugram: "Gurgaon",
-  gurgao: "Gurgaon",
-  guragon: "Gurgaon",
-  "cyber city": "Gurgaon",
-  "cyber hub": "Gurgaon",
-  "dlf cyber city": "Gurgaon",
-  "golf course road": "Gurgaon",
-  "golf course extension": "Gurgaon",
-  "mg road": "Gurgaon",
-  "mg road gurgaon": "Gurgaon",
-  "huda city centre": "Gurgaon",
-  "iffco chowk": "Gurgaon",
-  "sushant lok": "Gurgaon",
-  "dlf phase": "Gurgaon",
-  "dlf phase 1": "Gurgaon",
-  "dlf phase 2": "Gurgaon",
-  "dlf phase 3": "Gurgaon",
-  "dlf phase 4": "Gurgaon",
-  "dlf phase 5": "Gurgaon",
-  "dlf 1": "Gurgaon",
-  "dlf 2": "Gurgaon",
-  "dlf 3": "Gurgaon",
-  "dlf 4": "Gurgaon",
-  "dlf 5": "Gurgaon",
-  "sector 29": "Gurgaon",
-  "south city": "Gurgaon",
-  "palam vihar": "Gurgaon",
-  "udyog vihar": "Gurgaon",
-  sohna: "Gurgaon",
-  "sohna road": "Gurgaon",
-  manesar: "Gurgaon",
-  "new gurgaon": "Gurgaon",
-  "old gurgaon": "Gurgaon",
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const CITY_ALIASES_FILE = path.join(__dirname, "city-aliases.json");
 
-  // ==========================================================================
-  // NOIDA
-  // ==========================================================================
-  noida: "Noida",
-  nioda: "Noida",
-  noyda: "Noida",
-  noeda: "Noida",
-  "greater noida": "Noida",
-  "gr noida": "Noida",
-  "greater noida west": "Noida",
-  "noida extension": "Noida",
-  "noida sector": "Noida",
-  "noida city": "Noida",
-  "noida city centre": "Noida",
-  "sector 15": "Noida",
-  "sector 16": "Noida",
-  "sector 18": "Noida",
-  "sector 52": "Noida",
-  "sector 58": "Noida",
-  "sector 59": "Noida",
-  "sector 61": "Noida",
-  "sector 62": "Noida",
-  "sector 63": "Noida",
-  "sector 125": "Noida",
-  "sector 137": "Noida",
-  "botanical garden": "Noida",
-  "film city": "Noida",
-  "knowledge park": "Noida",
-  "pari chowk": "Noida",
-  jewar: "Noida",
-  "jewar airport": "Noida",
-
-  // ==========================================================================
-  // AMBALA
-  // ==========================================================================
-  amb: "Ambala",
-  ambl: "Ambala",
-  ambala: "Ambala",
-  "ambala cantt": "Ambala",
-  "ambala cantonment": "Ambala",
-  "ambala city": "Ambala",
-  "ambala railway station": "Ambala",
-
-  // ==========================================================================
-  // PATIALA
-  // ==========================================================================
-  pti: "Patiala",
-  ptl: "Patiala",
-  patiala: "Patiala",
-  patiyala: "Patiala",
-  pattiala: "Patiala",
-  nabha: "Patiala",
-  rajpura: "Patiala",
-  samana: "Patiala",
-  sirhind: "Patiala",
+/** Reads + validates the file. Throws with every error listed. */
+function loadCityAliases() {
+  if (!fs.existsSync(CITY_ALIASES_FILE)) {
+    throw new Error(`[cityAliases] FATAL: city-aliases.json not found at ${CITY_ALIASES_FILE}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(CITY_ALIASES_FILE, "utf8"));
+  } catch (err) {
+    throw new Error(`[cityAliases] city-aliases.json is not valid JSON: ${err.message}`);
+  }
+  const result = validateCityAliases(data);
+  if (result.errors.length) {
+    throw new Error(`[cityAliases] city-aliases.json rejected:\n   ${result.errors.join("\n   ")}`);
+  }
+  return result;
+}
 
-  // ==========================================================================
-  // CHANDIGARH (Tricity Hub)
-  // ==========================================================================
-  chd: "Chandigarh",
-  chandi: "Chandigarh",
-  chandigarh: "Chandigarh",
-  chandhigarh: "Chandigarh",
-  chandigrah: "Chandigarh",
-  chandiarh: "Chandigarh",
-  chandigad: "Chandigarh",
-  "chandigarh airport": "Chandigarh",
-  "chandigarh sector": "Chandigarh",
-  "isbt 17": "Chandigarh",
-  "isbt 43": "Chandigarh",
-  "isbt chandigarh": "Chandigarh",
-  "sector 17": "Chandigarh",
-  "sector 35": "Chandigarh",
-  "43 bus stand": "Chandigarh",
-  "43 isbt": "Chandigarh",
-  "bus stand 43": "Chandigarh",
-  "chandigarh 43": "Chandigarh",
-  panchkula: "Chandigarh",
-  panchkoola: "Chandigarh",
-  pgi: "Chandigarh",
-  pgimer: "Chandigarh",
-  pkl: "Chandigarh",
+// Live maps: alias → canonical city, canonical names (file order),
+// region → [cities] and city → region.
+export const CITY_ALIASES     = {};
+export const CANONICAL_CITIES = [];
+export const REGIONS          = {};
+export const CITY_REGIONS     = {};
 
-  // ==========================================================================
-  // ZIRAKPUR
-  // ==========================================================================
-  zkp: "Zirakpur",
-  zirakpur: "Zirakpur",
-  zirkapur: "Zirakpur",
-  zirkpur: "Zirakpur",
-  jerkpur: "Zirakpur",
-  zirapur: "Zirakpur",
-  "dera bassi": "Zirakpur",
-  "dera basi": "Zirakpur",
-  derabassi: "Zirakpur",
-  dhakoli: "Zirakpur",
-  dhakauli: "Zirakpur",
+function replaceContents(target, source) {
+  for (const key of Object.keys(target)) delete target[key];
+  Object.assign(target, source);
+}
 
-  // ==========================================================================
-  // MOHALI
-  // ==========================================================================
-  mhl: "Mohali",
-  mohali: "Mohali",
-  mohli: "Mohali",
-  mohaali: "Mohali",
-  moali: "Mohali",
-  "mohali airport": "Mohali",
-  "mohali phase": "Mohali",
-  "mohali sector": "Mohali",
-  "phase 10": "Mohali",
-  "phase 11": "Mohali",
-  "sahibzada ajit singh nagar": "Mohali",
-  "sas nagar": "Mohali",
-  kharar: "Mohali",
-  khrar: "Mohali",
-  kharad: "Mohali",
-  kahrar: "Mohali",
-  kurali: "Mohali",
-  landran: "Mohali",
-  morinda: "Mohali",
+function applyCityAliases({ aliases, cities, regions, cityRegions }) {
+  replaceContents(CITY_ALIASES, aliases);
+  replaceContents(REGIONS, regions);
+  replaceContents(CITY_REGIONS, cityRegions);
+  CANONICAL_CITIES.length = 0;
+  CANONICAL_CITIES.push(...cities);
+}
 
-  // ==========================================================================
-  // AMRITSAR
-  // ==========================================================================
-  asr: "Amritsar",
-  amritsar: "Amritsar",
-  amritser: "Amritsar",
-  amritsarr: "Amritsar",
-  amritsir: "Amritsar",
-  amritar: "Amritsar",
-  "amritsar airport": "Amritsar",
-  "golden temple": "Amritsar",
-  "wagah border": "Amritsar",
-  abohar: "Amritsar",
-  beas: "Amritsar",
+const initial = loadCityAliases();
+applyCityAliases(initial);
+if (initial.warnings.length) {
+  console.warn(`[cityAliases] ⚠️  ${initial.warnings.length} alias warning(s) — run: node scripts/aliases.js`);
+}
 
-  // ==========================================================================
-  // LUDHIANA
-  // ==========================================================================
-  ldh: "Ludhiana",
-  ludhiana: "Ludhiana",
-  ludhiyana: "Ludhiana",
-  ludhianaa: "Ludhiana",
-  ludiana: "Ludhiana",
-  ludhianna: "Ludhiana",
-  khanna: "Ludhiana",
+const _reloadListeners = [];
 
-  // ==========================================================================
-  // JALANDHAR
-  // ==========================================================================
-  jld: "Jalandhar",
-  jalandhar: "Jalandhar",
-  jalandar: "Jalandhar",
-  jullundur: "Jalandhar",
-  jalandarh: "Jalandhar",
-  phagwara: "Jalandhar",
+/**
+ * Registers a callback run after each successful city-aliases.json hot-reload
+ * (filter.js drops its fuzzy-candidate cache here).
+ */
+export function onCityAliasesReload(listener) {
+  _reloadListeners.push(listener);
+}
 
-};
+// Same watchFile + debounce + fail-safe pattern as blocked-data.json. Unref'd:
+// filter.js is also imported by tests and CLI scripts, which must still exit.
+let _reloadDebounce = null;
+try {
+  const watcher = watchFile(CITY_ALIASES_FILE, { interval: 1000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+
+    if (_reloadDebounce) clearTimeout(_reloadDebounce);
+    _reloadDebounce = setTimeout(() => {
+      try {
+        const fresh = loadCityAliases();
+        applyCityAliases(fresh);
+        console.log(
+          `[cityAliases] 🔄 city-aliases.json reloaded live — ` +
+            `${Object.keys(CITY_ALIASES).length} aliases, ${CANONICAL_CITIES.length} cities, ` +
+            `${Object.keys(REGIONS).length} regions` +
+            `${fresh.warnings.length ? `, ${fresh.warnings.length} warning(s)` : ""}`
+        );
+        for (const listener of _reloadListeners) {
+          try {
+            listener();
+          } catch (err) {
+            console.warn(`[cityAliases] ⚠️  reload listener failed: ${err.message}`);
+          }
+        }
+      } catch (err) {
+        console.warn(`[cityAliases] ⚠️  city-aliases.json reload FAILED — keeping previous map: ${err.message}`);
+      }
+    }, 300);
+  });
+  watcher.unref?.();
+} catch (err) {
+  console.warn(`[cityAliases] ⚠️  could not watch city-aliases.json (restart applies edits): ${err.message}`);
+}
 
 /**
- * Get canonical city name from an alias.
- * @param {string} alias
- * @returns {string|null}
+ * Get canonical city name from alias
+ * @param {string} alias - City alias (e.g., "dli", "shimla airport")
+ * @returns {string|null} - Canonical city name or null
  */
 export function getCanonicalCityName(alias) {
   if (!alias) return null;
-  const normalized = alias.toLowerCase().trim();
-  return CITY_ALIASES[normalized] || null;
+  return CITY_ALIASES[normalizeAlias(alias)] || null;
 }
 
 /**
- * Match a word (or phrase) against configured cities.
- * @param {string} word
- * @param {string[]} configuredCities
- * @returns {string|null}
+ * Match word against configured cities
+ * @param {string} word - Word to match
+ * @param {string[]} configuredCities - List of configured city names
+ * @returns {string|null} - Matched city or null
  */
 export function matchCity(word, configuredCities) {
   if (!word || !configuredCities) return null;
@@ -352,12 +151,21 @@ export function matchCity(word, configuredCities) {
 }
 
 /**
- * Reverse lookup: get all aliases for a canonical city name.
- * @param {string} canonicalName
- * @returns {string[]}
+ * Region a canonical city belongs to ("Zirakpur" → "Tricity"), or null
+ * @param {string|null} city - Canonical city name
+ * @returns {string|null}
+ */
+export function getRegionForCity(city) {
+  return (city && CITY_REGIONS[city]) || null;
+}
+
+/**
+ * Get all aliases for a canonical city name
+ * @param {string} canonicalName - Canonical city name
+ * @returns {string[]} - Array of aliases
  */
 export function getAliasesForCity(canonicalName) {
   return Object.entries(CITY_ALIASES)
     .filter(([, canonical]) => canonical === canonicalName)
     .map(([alias]) => alias);
-}
\ No newline at end of file
+}
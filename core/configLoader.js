@@ -11,7 +11,33 @@
 import fs from "fs";
 import path from "path";
 import dotenv from "dotenv";
-import { GLOBAL_CONFIG } from "./globalConfig.js";
+import { GLOBAL_CONFIG, onBlockedDataReload } from "./globalConfig.js";
+import { VEHICLE_CLASS_NAMES } from "./filter.js";
+import { REGIONS, CANONICAL_CITIES } from "./cityAliases.js";
+import { compileRoutingRules } from "./routingRules.js";
+import { compileMessageTemplates } from "./rideTemplates.js";
+
+// Keywords and ignore phrases are matched NFC-normalized + lowercase (filter.js)
+const normalizeListEntry = (entry) => entry.normalize("NFC").toLowerCase().trim();
+
+/**
+ * base + add − remove, deduped, order preserved (base first). RegExp entries
+ * (blocked-data.json regex rules, compiled case-insensitive) compare by their
+ * pattern string, so an allowPhrases entry can remove one.
+ */
+function buildOverlayList(base, add, remove) {
+  const entryKey  = (entry) => (entry instanceof RegExp ? normalizeListEntry(entry.source) : entry);
+  const removeSet = new Set(remove.map(entryKey));
+  const seen = new Set();
+  const out  = [];
+  for (const entry of [...base, ...add]) {
+    const key = entryKey(entry);
+    if (removeSet.has(key) || seen.has(key)) continue;
+    seen.add(key);
+    out.push(entry);
+  }
+  return out;
+}
 
 export function loadConfig(botDir) {
   // Load .env from bot directory FIRST (Bot-2 pattern)
@@ -115,6 +141,373 @@ export function loadConfig(botDir) {
     }
   }
 
+  // ==========================================================================
+  // OPTIONAL ROUTING FLAGS
+  // ==========================================================================
+
+  if (config.routeToDropCity === undefined) {
+    config.routeToDropCity = false;
+  } else if (typeof config.routeToDropCity !== "boolean") {
+    console.error(`❌ config.routeToDropCity must be true or false`);
+    process.exit(1);
+  }
+
+  // vehicleTargetGroups: { "<vehicle class>": "<id>@g.us" | ["<id>@g.us", ...] }
+  // Normalized to arrays so the router never has to check the shape.
+  if (config.vehicleTargetGroups === undefined) {
+    config.vehicleTargetGroups = {};
+  } else if (
+    typeof config.vehicleTargetGroups !== "object" ||
+    config.vehicleTargetGroups === null ||
+    Array.isArray(config.vehicleTargetGroups)
+  ) {
+    console.error(`❌ config.vehicleTargetGroups must be an object map`);
+    process.exit(1);
+  }
+
+  for (const [vehicleClass, groups] of Object.entries(config.vehicleTargetGroups)) {
+    if (!VEHICLE_CLASS_NAMES.includes(vehicleClass)) {
+      console.error(
+        `❌ Unknown vehicle class in vehicleTargetGroups: "${vehicleClass}" (use: ${VEHICLE_CLASS_NAMES.join(", ")})`
+      );
+      process.exit(1);
+    }
+    const ids = Array.isArray(groups) ? groups : [groups];
+    const invalid = ids.filter((id) => !isValidGroupId(id));
+    if (invalid.length > 0) {
+      console.error(`❌ Invalid group ID for vehicle class "${vehicleClass}": ${invalid.join(", ")}`);
+      process.exit(1);
+    }
+    config.vehicleTargetGroups[vehicleClass] = ids;
+  }
+
+  // regionTargetGroups: { "<region>": "<id>@g.us" | ["<id>@g.us", ...] }
+  // Regions ("Tricity", "NCR") are defined in core/city-aliases.json. A pickup in
+  // any city of the region also reaches these groups — on top of its city group.
+  if (config.regionTargetGroups === undefined) {
+    config.regionTargetGroups = {};
+  } else if (
+    typeof config.regionTargetGroups !== "object" ||
+    config.regionTargetGroups === null ||
+    Array.isArray(config.regionTargetGroups)
+  ) {
+    console.error(`❌ config.regionTargetGroups must be an object map`);
+    process.exit(1);
+  }
+
+  for (const [region, groups] of Object.entries(config.regionTargetGroups)) {
+    if (!REGIONS[region]) {
+      console.error(
+        `❌ Unknown region in regionTargetGroups: "${region}" (city-aliases.json has: ${Object.keys(REGIONS).join(", ") || "none"})`
+      );
+      process.exit(1);
+    }
+    const ids = Array.isArray(groups) ? groups : [groups];
+    const invalid = ids.filter((id) => !isValidGroupId(id));
+    if (invalid.length > 0) {
+      console.error(`❌ Invalid group ID for region "${region}": ${invalid.join(", ")}`);
+      process.exit(1);
+    }
+    config.regionTargetGroups[region] = ids;
+  }
+
+  // scheduledRides: { targetGroups: ["<id>@g.us", ...], exclusive: boolean }
+  // exclusive = scheduled rides go ONLY to these groups (not paid/city/free).
+  if (config.scheduledRides === undefined) {
+    config.scheduledRides = { targetGroups: [], exclusive: false };
+  } else if (
+    typeof config.scheduledRides !== "object" ||
+    config.scheduledRides === null ||
+    Array.isArray(config.scheduledRides)
+  ) {
+    console.error(`❌ config.scheduledRides must be an object { targetGroups, exclusive }`);
+    process.exit(1);
+  }
+
+  const scheduledGroups = config.scheduledRides.targetGroups ?? [];
+  if (!Array.isArray(scheduledGroups) || scheduledGroups.some((id) => !isValidGroupId(id))) {
+    console.error(`❌ config.scheduledRides.targetGroups must be an array of valid group IDs`);
+    process.exit(1);
+  }
+  if (config.scheduledRides.exclusive !== undefined && typeof config.scheduledRides.exclusive !== "boolean") {
+    console.error(`❌ config.scheduledRides.exclusive must be true or false`);
+    process.exit(1);
+  }
+  config.scheduledRides = {
+    targetGroups: scheduledGroups,
+    exclusive:    config.scheduledRides.exclusive ?? false,
+  };
+
+  // supplyPosts: what to do with "vehicle available" posts (classifyPostIntent)
+  //   forward = route like any ride (default, old behaviour)
+  //   drop    = never forward
+  //   route   = Path A sends them ONLY to supplyPosts.targetGroups; Path B drops them
+  const SUPPLY_ACTIONS = ["forward", "drop", "route"];
+  if (config.supplyPosts === undefined) {
+    config.supplyPosts = { action: "forward", targetGroups: [] };
+  } else if (
+    typeof config.supplyPosts !== "object" ||
+    config.supplyPosts === null ||
+    Array.isArray(config.supplyPosts)
+  ) {
+    console.error(`❌ config.supplyPosts must be an object { action, targetGroups }`);
+    process.exit(1);
+  }
+
+  const supplyAction = config.supplyPosts.action ?? "forward";
+  const supplyGroups = config.supplyPosts.targetGroups ?? [];
+  if (!SUPPLY_ACTIONS.includes(supplyAction)) {
+    console.error(`❌ config.supplyPosts.action must be one of: ${SUPPLY_ACTIONS.join(", ")}`);
+    process.exit(1);
+  }
+  if (!Array.isArray(supplyGroups) || supplyGroups.some((id) => !isValidGroupId(id))) {
+    console.error(`❌ config.supplyPosts.targetGroups must be an array of valid group IDs`);
+    process.exit(1);
+  }
+  if (supplyAction === "route" && supplyGroups.length === 0) {
+    console.error(`❌ config.supplyPosts.action is "route" but targetGroups is empty`);
+    process.exit(1);
+  }
+  config.supplyPosts = { action: supplyAction, targetGroups: supplyGroups };
+
+  // tierEmbargoMinutes: hold a send tier back, e.g. { "free": 10 } → the free
+  // group gets each ride 10 min after the paid groups (router send tiers:
+  // paid → city → free). Missing tiers = 0 (no embargo).
+  const SEND_TIERS = ["paid", "city", "free"];
+  const embargo = config.tierEmbargoMinutes ?? {};
+  if (typeof embargo !== "object" || embargo === null || Array.isArray(embargo)) {
+    console.error(`❌ config.tierEmbargoMinutes must be an object { paid, city, free } of minutes`);
+    process.exit(1);
+  }
+  const unknownTiers = Object.keys(embargo).filter((tier) => !SEND_TIERS.includes(tier));
+  if (unknownTiers.length > 0) {
+    console.error(`❌ config.tierEmbargoMinutes: unknown tier(s) ${unknownTiers.join(", ")} (use: ${SEND_TIERS.join(", ")})`);
+    process.exit(1);
+  }
+  for (const [tier, minutes] of Object.entries(embargo)) {
+    if (typeof minutes !== "number" || !Number.isFinite(minutes) || minutes < 0 || minutes > 1440) {
+      console.error(`❌ config.tierEmbargoMinutes.${tier} must be a number of minutes between 0 and 1440`);
+      process.exit(1);
+    }
+  }
+  config.tierEmbargoMinutes = Object.fromEntries(SEND_TIERS.map((tier) => [tier, embargo[tier] ?? 0]));
+
+  // ==========================================================================
+  // ROUTING RULES — optional rules.json next to config.json (routingRules.js)
+  // ==========================================================================
+  // Without the file the bot runs the default PathA/PathB rules.
+
+  const rulesPath = path.join(botDir, "rules.json");
+  let rulesData;
+  if (fs.existsSync(rulesPath)) {
+    try {
+      rulesData = JSON.parse(fs.readFileSync(rulesPath, "utf8"));
+    } catch (error) {
+      console.error(`❌ Failed to parse rules.json: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  const { errors: ruleErrors, rules: routingRules, customCount } = compileRoutingRules(rulesData, {
+    sourceGroupIds:    config.sourceGroupIds,
+    freeCommonGroupId: config.freeCommonGroupId,
+    cities:            CANONICAL_CITIES,
+    regions:           Object.keys(REGIONS),
+    vehicleClasses:    VEHICLE_CLASS_NAMES,
+  });
+  if (ruleErrors.length > 0) {
+    console.error(`❌ Invalid rules.json (${ruleErrors.length} error(s)):`);
+    for (const error of ruleErrors) console.error(`   ${error}`);
+    process.exit(1);
+  }
+  config.routingRules = routingRules;
+
+  // ==========================================================================
+  // PER-TARGET SETTINGS — { "<id>@g.us": { accept: {...}, quota: {...}, transform } }
+  // ==========================================================================
+  // accept    = the rides a target group wants (router.getAcceptanceMiss)
+  // quota     = { hourly, daily } sends to this group (router, sliding window)
+  // transform = name of a transformProfiles entry (phone masking for teaser groups)
+  // template  = name of a messageTemplates entry (clean ride layout, rideTemplates.js)
+  // Only for groups this bot actually sends to — anything else is a typo.
+
+  const configuredTargets = new Set([
+    ...config.paidCommonGroupId,
+    config.freeCommonGroupId,
+    ...Object.values(config.cityTargetGroups),
+    ...Object.values(config.vehicleTargetGroups).flat(),
+    ...Object.values(config.regionTargetGroups).flat(),
+    ...config.scheduledRides.targetGroups,
+    ...config.supplyPosts.targetGroups,
+    ...routingRules.flatMap((rule) => rule.action.targets.filter(isValidGroupId)),
+  ]);
+
+  if (config.targetSettings === undefined) {
+    config.targetSettings = {};
+  } else if (
+    typeof config.targetSettings !== "object" ||
+    config.targetSettings === null ||
+    Array.isArray(config.targetSettings)
+  ) {
+    console.error(`❌ config.targetSettings must be an object map { "<id>@g.us": { accept } }`);
+    process.exit(1);
+  }
+
+  const isStringList = (value) =>
+    Array.isArray(value) && value.length > 0 && value.every((v) => typeof v === "string" && v.trim());
+
+  // transformProfiles: named per-target text transforms (router.applyTextTransform),
+  // picked per group with targetSettings[id].transform
+  //   { "teaser": { "phones": "mask" },
+  //     "trial":  { "phones": "replace", "replaceWith": "📞 Number: contact admin" } }
+  const PHONE_TRANSFORMS = ["show", "mask", "replace", "strip"];
+  const transformProfiles = config.transformProfiles ?? {};
+  if (typeof transformProfiles !== "object" || transformProfiles === null || Array.isArray(transformProfiles)) {
+    console.error(`❌ config.transformProfiles must be an object map { "<name>": { phones, replaceWith } }`);
+    process.exit(1);
+  }
+  for (const [name, profile] of Object.entries(transformProfiles)) {
+    if (typeof profile !== "object" || profile === null || Array.isArray(profile)) {
+      console.error(`❌ config.transformProfiles["${name}"] must be an object { phones, replaceWith }`);
+      process.exit(1);
+    }
+    const unknownKeys = Object.keys(profile).filter((k) => !["phones", "replaceWith"].includes(k));
+    if (unknownKeys.length > 0) {
+      console.error(`❌ config.transformProfiles["${name}"]: unknown key(s) ${unknownKeys.join(", ")} (use: phones, replaceWith)`);
+      process.exit(1);
+    }
+    if (!PHONE_TRANSFORMS.includes(profile.phones)) {
+      console.error(`❌ config.transformProfiles["${name}"].phones must be one of: ${PHONE_TRANSFORMS.join(", ")}`);
+      process.exit(1);
+    }
+    if (profile.phones === "replace" && (typeof profile.replaceWith !== "string" || !profile.replaceWith.trim())) {
+      console.error(`❌ config.transformProfiles["${name}"]: phones "replace" needs a replaceWith line`);
+      process.exit(1);
+    }
+  }
+  config.transformProfiles = transformProfiles;
+
+  // messageTemplates: ride layouts for targetSettings[id].template (rideTemplates.js);
+  // "standard" is built in
+  const { errors: templateErrors, templates: messageTemplates } = compileMessageTemplates(config.messageTemplates ?? {});
+  if (templateErrors.length > 0) {
+    console.error(`❌ Invalid config.messageTemplates (${templateErrors.length} error(s)):`);
+    for (const error of templateErrors) console.error(`   ${error}`);
+    process.exit(1);
+  }
+  config.messageTemplates = messageTemplates;
+
+  for (const [groupId, settings] of Object.entries(config.targetSettings)) {
+    if (!configuredTargets.has(groupId)) {
+      console.error(`❌ config.targetSettings: ${groupId} is not a target group of this bot`);
+      process.exit(1);
+    }
+    if (typeof settings !== "object" || settings === null || Array.isArray(settings)) {
+      console.error(`❌ config.targetSettings["${groupId}"] must be an object`);
+      process.exit(1);
+    }
+
+    const unknownSettings = Object.keys(settings).filter((k) => !["accept", "quota", "transform", "template"].includes(k));
+    if (unknownSettings.length > 0) {
+      console.error(`❌ config.targetSettings["${groupId}"]: unknown setting(s) ${unknownSettings.join(", ")} (use: accept, quota, transform, template)`);
+      process.exit(1);
+    }
+
+    if (settings.template !== undefined) {
+      if (!Object.hasOwn(messageTemplates, settings.template)) {
+        console.error(
+          `❌ config.targetSettings["${groupId}"].template: unknown template "${settings.template}"` +
+          ` (available: ${Object.keys(messageTemplates).join(", ")})`
+        );
+        process.exit(1);
+      }
+      settings.template = messageTemplates[settings.template];
+    }
+
+    if (settings.transform !== undefined) {
+      if (!Object.hasOwn(transformProfiles, settings.transform)) {
+        console.error(
+          `❌ config.targetSettings["${groupId}"].transform: unknown profile "${settings.transform}"` +
+          ` (config.transformProfiles: ${Object.keys(transformProfiles).join(", ") || "none defined"})`
+        );
+        process.exit(1);
+      }
+      settings.transform = { name: settings.transform, ...transformProfiles[settings.transform] };
+    }
+
+    const quota = settings.quota;
+    if (quota !== undefined) {
+      const isCap = (n) => n === undefined || (Number.isInteger(n) && n > 0);
+      if (
+        typeof quota !== "object" || quota === null || Array.isArray(quota) ||
+        Object.keys(quota).some((k) => !["hourly", "daily"].includes(k)) ||
+        !isCap(quota.hourly) || !isCap(quota.daily) ||
+        (quota.hourly === undefined && quota.daily === undefined)
+      ) {
+        console.error(`❌ config.targetSettings["${groupId}"].quota must be { hourly, daily } with positive integers (either may be left out)`);
+        process.exit(1);
+      }
+    }
+
+    const accept = settings.accept;
+    if (accept === undefined) continue;
+    if (typeof accept !== "object" || accept === null || Array.isArray(accept)) {
+      console.error(`❌ config.targetSettings["${groupId}"].accept must be an object { cities, vehicles, keywords, minLength }`);
+      process.exit(1);
+    }
+    const unknownKeys = Object.keys(accept).filter((k) => !["cities", "vehicles", "keywords", "minLength"].includes(k));
+    if (unknownKeys.length > 0) {
+      console.error(`❌ config.targetSettings["${groupId}"].accept: unknown key(s) ${unknownKeys.join(", ")} (use: cities, vehicles, keywords, minLength)`);
+      process.exit(1);
+    }
+    for (const key of ["cities", "vehicles", "keywords"]) {
+      if (accept[key] !== undefined && !isStringList(accept[key])) {
+        console.error(`❌ config.targetSettings["${groupId}"].accept.${key} must be a non-empty array of strings`);
+        process.exit(1);
+      }
+    }
+    const unknownCities = (accept.cities || []).filter((city) => !CANONICAL_CITIES.includes(city));
+    if (unknownCities.length > 0) {
+      console.error(`❌ config.targetSettings["${groupId}"].accept.cities: unknown city ${unknownCities.join(", ")} (see core/city-aliases.json)`);
+      process.exit(1);
+    }
+    const unknownVehicles = (accept.vehicles || []).filter((v) => !VEHICLE_CLASS_NAMES.includes(v));
+    if (unknownVehicles.length > 0) {
+      console.error(`❌ config.targetSettings["${groupId}"].accept.vehicles: unknown class ${unknownVehicles.join(", ")} (use: ${VEHICLE_CLASS_NAMES.join(", ")})`);
+      process.exit(1);
+    }
+    if (accept.minLength !== undefined && (!Number.isInteger(accept.minLength) || accept.minLength < 0)) {
+      console.error(`❌ config.targetSettings["${groupId}"].accept.minLength must be a non-negative integer`);
+      process.exit(1);
+    }
+
+    settings.accept = {
+      ...(accept.cities    && { cities:    new Set(accept.cities) }),
+      ...(accept.vehicles  && { vehicles:  new Set(accept.vehicles) }),
+      ...(accept.keywords  && { keywords:  accept.keywords.map(normalizeListEntry) }),
+      ...(accept.minLength !== undefined && { minLength: accept.minLength }),
+    };
+  }
+
+  // ==========================================================================
+  // KEYWORD / IGNORE OVERLAYS — per-bot tweaks on top of the global lists
+  // ==========================================================================
+  // extraKeywords / removeKeywords → requestKeywords
+  // extraIgnore   / allowPhrases   → ignoreIfContains (allowPhrases = global
+  //                                  ignore entries this bot does NOT apply)
+
+  for (const key of ["extraKeywords", "removeKeywords", "extraIgnore", "allowPhrases"]) {
+    if (config[key] === undefined) {
+      config[key] = [];
+      continue;
+    }
+    if (!Array.isArray(config[key]) || config[key].some((e) => typeof e !== "string" || !e.trim())) {
+      console.error(`❌ config.${key} must be an array of non-empty strings`);
+      process.exit(1);
+    }
+    config[key] = config[key].map(normalizeListEntry);
+  }
+
   // ==========================================================================
   // DERIVE configuredCities list (keys of cityTargetGroups)
   // ==========================================================================
@@ -125,16 +518,41 @@ export function loadConfig(botDir) {
   // MERGE WITH GLOBAL CONFIG (Bot-2 pattern)
   // ==========================================================================
 
+  // No overlays → share the GLOBAL arrays (blocked-data.json hot-reload mutates
+  // them in place). With overlays → a per-bot array that is rebuilt IN PLACE
+  // after every hot-reload, so config.ignoreIfContains stays the same reference.
+  const hasKeywordOverlay = config.extraKeywords.length > 0 || config.removeKeywords.length > 0;
+  const hasIgnoreOverlay  = config.extraIgnore.length > 0 || config.allowPhrases.length > 0;
+
+  const requestKeywords = hasKeywordOverlay
+    ? buildOverlayList(GLOBAL_CONFIG.requestKeywords, config.extraKeywords, config.removeKeywords)
+    : GLOBAL_CONFIG.requestKeywords;
+
+  let ignoreIfContains = GLOBAL_CONFIG.ignoreIfContains;
+  if (hasIgnoreOverlay) {
+    ignoreIfContains = [];
+    const rebuildIgnore = () => {
+      const fresh = buildOverlayList(GLOBAL_CONFIG.ignoreIfContains, config.extraIgnore, config.allowPhrases);
+      ignoreIfContains.length = 0;
+      ignoreIfContains.push(...fresh);
+    };
+    rebuildIgnore();
+    onBlockedDataReload(rebuildIgnore);
+  }
+
   const mergedConfig = {
     ...config,
     botDir,
     configuredCities,
-    requestKeywords: GLOBAL_CONFIG.requestKeywords,
-    ignoreIfContains: GLOBAL_CONFIG.ignoreIfContains,
+    requestKeywords,
+    ignoreIfContains,
     blockedPhoneNumbers: GLOBAL_CONFIG.blockedPhoneNumbers,
     blockedSenders: GLOBAL_CONFIG.blockedSenders,
     rateLimits: GLOBAL_CONFIG.rateLimits,
     validation: GLOBAL_CONFIG.validation,
+    cityMatching: GLOBAL_CONFIG.cityMatching,
+    taxiScoring: GLOBAL_CONFIG.taxiScoring,
+    scheduling: GLOBAL_CONFIG.scheduling,
     humanBehavior: GLOBAL_CONFIG.humanBehavior,
     circuitBreaker: GLOBAL_CONFIG.circuitBreaker,
     deduplication: GLOBAL_CONFIG.deduplication,
@@ -173,6 +591,11 @@ export function loadConfig(botDir) {
     ...mergedConfig.paidCommonGroupId,
     mergedConfig.freeCommonGroupId,
     ...Object.values(mergedConfig.cityTargetGroups),
+    ...Object.values(mergedConfig.vehicleTargetGroups).flat(),
+    ...Object.values(mergedConfig.regionTargetGroups).flat(),
+    ...mergedConfig.scheduledRides.targetGroups,
+    ...mergedConfig.supplyPosts.targetGroups,
+    ...routingRules.flatMap((rule) => rule.action.targets.filter((t) => t.endsWith("@g.us"))),
   ]);
 
   console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
@@ -183,9 +606,45 @@ export function loadConfig(botDir) {
   console.log(`✅ Free Common:    ${mergedConfig.freeCommonGroupId}`);
   console.log(`✅ Paid Groups:    ${mergedConfig.paidCommonGroupId.length}`);
   console.log(`✅ City Groups:    ${configuredCities.length} (${configuredCities.join(", ")})`);
+  console.log(`✅ Vehicle Groups: ${Object.keys(mergedConfig.vehicleTargetGroups).join(", ") || "none"}`);
+  console.log(`✅ Region Groups:  ${Object.keys(mergedConfig.regionTargetGroups).map((r) => `${r} (${REGIONS[r].join("/")})`).join(", ") || "none"}`);
+  console.log(`✅ Scheduled:      ${mergedConfig.scheduledRides.targetGroups.length} group(s)${mergedConfig.scheduledRides.exclusive ? " (exclusive)" : ""}`);
+  console.log(`✅ Supply Posts:   ${mergedConfig.supplyPosts.action}${mergedConfig.supplyPosts.action === "route" ? ` → ${mergedConfig.supplyPosts.targetGroups.length} group(s)` : ""}`);
+  console.log(
+    `✅ Routing Rules:  ${routingRules.length}` +
+    `${customCount ? ` (${customCount} from rules.json)` : " (defaults)"}: ${routingRules.map((r) => r.name).join(" → ")}`
+  );
+  const acceptFilterCount = Object.values(mergedConfig.targetSettings).filter((s) => s.accept).length;
+  const quotaCount        = Object.values(mergedConfig.targetSettings).filter((s) => s.quota).length;
+  console.log(`✅ Target Filters: ${acceptFilterCount ? `${acceptFilterCount} group(s) with accept rules` : "none (every target gets every ride)"}`);
+  console.log(`✅ Target Quotas:  ${quotaCount ? `${quotaCount} group(s) capped` : "none (global rate limit only)"}`);
+  const templated   = Object.values(mergedConfig.targetSettings).filter((s) => s.template);
+  console.log(
+    `✅ Templates:      ${templated.length
+      ? `${templated.length} group(s) — ${[...new Set(templated.map((s) => s.template.name))].join(", ")}`
+      : "none (raw text everywhere)"}`
+  );
+  const transformed = Object.values(mergedConfig.targetSettings).filter((s) => s.transform);
+  console.log(
+    `✅ Text Transforms: ${transformed.length
+      ? `${transformed.length} group(s) — ${[...new Set(transformed.map((s) => `${s.transform.name} (${s.transform.phones})`))].join(", ")}`
+      : "none (every target sees the full text)"}`
+  );
+  const embargoes = Object.entries(mergedConfig.tierEmbargoMinutes).filter(([, minutes]) => minutes > 0);
+  console.log(
+    `✅ Send Tiers:     paid → city → free` +
+    `${embargoes.length ? ` | embargo ${embargoes.map(([tier, minutes]) => `${tier} +${minutes}m`).join(", ")}` : ""}`
+  );
+  console.log(`✅ Drop Routing:   ${mergedConfig.routeToDropCity ? "ON (pickup + drop city groups)" : "off (pickup city only)"}`);
   console.log(`✅ Total Targets:  ${allTargetGroupIds.size} unique`);
-  console.log(`✅ Keywords:       ${mergedConfig.requestKeywords.length}`);
-  console.log(`✅ Ignore List:    ${mergedConfig.ignoreIfContains.length}`);
+  console.log(
+    `✅ Keywords:       ${mergedConfig.requestKeywords.length}` +
+    `${hasKeywordOverlay ? ` (+${config.extraKeywords.length} / -${config.removeKeywords.length} bot overlay)` : ""}`
+  );
+  console.log(
+    `✅ Ignore List:    ${mergedConfig.ignoreIfContains.length}` +
+    `${hasIgnoreOverlay ? ` (+${config.extraIgnore.length} / -${config.allowPhrases.length} bot overlay)` : ""}`
+  );
   console.log(`✅ Blocked Nums:   ${mergedConfig.blockedPhoneNumbers.length}`);
   console.log(`✅ Blocked Senders: ${mergedConfig.blockedSenders.length}`);
   console.log(`✅ Rate Limits:    ${mergedConfig.rateLimits.hourly}/hour, ${mergedConfig.rateLimits.daily}/day`);
@@ -4,22 +4,38 @@
  * ============================================================================
  * Bot-1 routing logic PRESERVED:
  *   - extractPickupCity() used to pick which cityTargetGroup to send to
- *   - isTaxiRequest(), hasPhoneNumber(), containsBlockedNumber() unchanged
- *   - getMessageFingerprint() unchanged
+ *   - isTaxiRequest(), containsBlockedNumber() unchanged
+ *   - hasPhoneNumber() unchanged; extractPhoneNumbers() and replacePhoneNumbers()
+ *     (per-target masking) share one phone matcher
+ *   - scoreTaxiRequest(): the same decision as a score + reasons (keywords,
+ *     ignore phrase, route pattern, phones, links, emoji density)
+ *   - getMessageFingerprint() is a pure content key (normalized text hash, no
+ *     5-minute time bucket) — the caller applies a first-seen sliding TTL
  *
  * Bot-2 improvements applied:
- *   - City alias map imported from cityAliases.js (not inline)
+ *   - City alias map loaded from core/city-aliases.json via cityAliases.js
+ *     (hot-reloaded, not inline)
  *   - normalizeText() as standalone (no emoji unicode ranges missed)
  *   - All functions individually exported for testability
+ *
+ * Ride parser:
+ *   - parseRide() turns one message into a structured Ride (pickup, drop,
+ *     vehicle class, time, fare, phones, confidence) — parsed once per message
+ *     by the router and shared by every gate, the target builder and logRide
+ *   - classifyPostIntent() separates supply posts ("Innova available, empty
+ *     return") from demand posts ("cab chahiye")
+ *   - parsePickupTime() resolves "kal subah 5 baje" / "aaj 7:30 pm" / "abhi"
+ *     to an Asia/Kolkata timestamp; far-off pickups are tagged scheduled
  * ============================================================================
  */
 
-import { CITY_ALIASES } from "./cityAliases.merged.js";
+import { CITY_ALIASES, CANONICAL_CITIES, onCityAliasesReload, getRegionForCity } from "./cityAliases.js";
 
 // Every canonical city the alias map knows (60+), for analytics that should count
 // ALL pickup cities — not just the bot's routed cityTargetGroups. Routing still
-// uses configuredCities; this wider list is only for the ride log.
-export const ALL_CITIES = [...new Set(Object.values(CITY_ALIASES))];
+// uses configuredCities; this wider list is only for the ride log. Live array:
+// refilled in place when city-aliases.json is reloaded.
+export const ALL_CITIES = CANONICAL_CITIES;
 
 // =============================================================================
 // ROUTE PATTERNS  — used in isTaxiRequest() as secondary gate
@@ -31,8 +47,25 @@ const ROUTE_PATTERNS = [
   /\b\w+\s+to\s+\w+/i,
   /pickup/i,
   /drop/i,
+  /[\p{L}\p{M}]\s+(?:से|ਤੋਂ|ਤੋ)\s+[\p{L}\p{M}]/u,   // "X से Y" / "X ਤੋਂ Y"
 ];
 
+// =============================================================================
+// NATIVE-SCRIPT ROUTE MARKERS (Devanagari / Gurmukhi)
+// =============================================================================
+// Hindi/Punjabi "from" is a POSTPOSITION ("ਮੋਹਾਲੀ ਤੋਂ ਦਿੱਲੀ" = from Mohali to
+// Delhi), and "to" is "तक"/"ਤੱਕ" AFTER the drop. \b is ASCII-only, so these use
+// whitespace lookarounds and Unicode letter+mark classes (matras, virama, nukta
+// and ZWJ/ZWNJ are marks/format chars, not letters).
+
+// "X से Y" / "X ਤੋਂ Y" → X = group 1, Y = group 2 (up to 3 words)
+const NATIVE_FROM_RE =
+  /([\p{L}\p{M}\u200c\u200d\s]+?)\s+(?:से|ਤੋਂ|ਤੋ)\s+([\p{L}\p{M}\u200c\u200d]+(?:\s+[\p{L}\p{M}\u200c\u200d]+){0,2})/u;
+
+// "Y तक" / "Y ਤੱਕ" → Y = group 1 (up to 3 words)
+const NATIVE_UNTIL_RE =
+  /((?:[\p{L}\p{M}\u200c\u200d]+\s+){0,2}[\p{L}\p{M}\u200c\u200d]+)\s+(?:तक|ਤੱਕ|ਤਕ)(?=\s|$)/u;
+
 // =============================================================================
 // TEXT NORMALIZATION
 // =============================================================================
@@ -54,13 +87,85 @@ export function normalizeText(text) {
     .replace(/[*_`~]/g, "")   // Strip WhatsApp formatting symbols (* bold, _ italic, ` code, ~ strikethrough)
     .replace(/\s+/g, " ")
     .trim()
+    .normalize("NFC")   // one canonical form for Devanagari/Gurmukhi nukta + matras
     .toLowerCase();
 }
 
 // =============================================================================
 // PHONE NUMBER DETECTION
 // =============================================================================
+// hasPhoneNumber() is the routing gate (unchanged patterns). findPhoneNumbers()
+// is the ONE matcher behind parseRide's phones and the per-target
+// mask/strip/replace transforms. Digit groups joined by short separators
+// (space, "-", ".", brackets) are combined into numbers:
+//   9876543210, 98765 43210, 98765  43210, 9876 543210, 987654 3210,
+//   987-654-3210, (987) 654-3210, +91 98765-43210, 919876543210, 09876543210
+
+const DIGIT_GROUP_RE   = /\d+/g;
+const PHONE_JOINER_RE  = /^[\s\-.()]{1,3}$/;
+const PHONE_LEAD_RE    = /[+(]+$/;
+const PHONE_PREFIXES   = new Set(["0", "91", "091", "0091"]);
+const MAX_PHONE_GROUPS = 4;
+
+/** 10 digits, or 10 behind an attached 0 / 91 prefix ("09876543210", "919876543210"). */
+function isPhoneDigits(digits) {
+  return digits.length === 10 ||
+    (digits.length === 11 && digits.startsWith("0")) ||
+    (digits.length === 12 && digits.startsWith("91"));
+}
+
+/**
+ * Whether these consecutive digit groups are written like ONE phone number:
+ * a whole run, or two / three parts of ≥2 digits each, after an optional
+ * separate country-code / trunk prefix group.
+ */
+function isPhoneShape(groups) {
+  const body = groups.length > 1 && PHONE_PREFIXES.has(groups[0]) ? groups.slice(1) : groups;
+  if (body !== groups && body.join("").length !== 10) return false;
+  if (!isPhoneDigits(body.join(""))) return false;
+  return body.length <= 3 && body.every((g) => g.length >= 2);
+}
+
+/**
+ * Every phone number in the text, in order: { start, end, written, digits }.
+ * written includes a leading "+" / "("; digits is the bare 10-digit number.
+ * Longest run of joined groups wins, so "98765 43210" is one number, while
+ * "Sector 70 9876543210" keeps the 70 out.
+ */
+function findPhoneNumbers(text) {
+  if (!text) return [];
+
+  const groups = [...text.matchAll(DIGIT_GROUP_RE)];
+  const found  = [];
 
+  for (let i = 0; i < groups.length; ) {
+    let size = 1;
+    while (
+      size < MAX_PHONE_GROUPS && i + size < groups.length &&
+      PHONE_JOINER_RE.test(text.slice(groups[i + size - 1].index + groups[i + size - 1][0].length, groups[i + size].index))
+    ) size++;
+
+    for (; size > 0; size--) {
+      if (isPhoneShape(groups.slice(i, i + size).map((g) => g[0]))) break;
+    }
+    if (size === 0) { i++; continue; }
+
+    const last  = groups[i + size - 1];
+    const lead  = text.slice(0, groups[i].index).match(PHONE_LEAD_RE)?.[0].length || 0;
+    const start = groups[i].index - lead;
+    const end   = last.index + last[0].length;
+    const written = text.slice(start, end);
+    found.push({ start, end, written, digits: written.replace(/\D/g, "").slice(-10) });
+    i += size;
+  }
+  return found;
+}
+
+/**
+ * The routing gate: true when the text looks like it carries a phone number.
+ * Deliberately looser than findPhoneNumbers (landlines, 8-9 digit and long
+ * runs pass) — the matcher below is only for extraction and masking.
+ */
 export function hasPhoneNumber(text) {
   if (!text) return false;
 
@@ -87,19 +192,67 @@ export function hasPhoneNumber(text) {
   return phonePatterns.some((pattern) => pattern.test(text));
 }
 
+const DATE_RE           = /(?<!\d)\d{1,2}[-./]\d{1,2}[-./]\d{2,4}(?!\d)/g;
+const LONG_DIGIT_RUN_RE = /\d(?:[\s\-.()]{0,3}\d){9,}/;
+
+/**
+ * True when 10+ digits still sit together (only separators between them) —
+ * what a phone transform must never leave behind, whatever the number's shape.
+ * Dates ("12-10-2026 10:30") are not counted.
+ */
+export function hasLongDigitRun(text) {
+  return !!text && LONG_DIGIT_RUN_RE.test(text.replace(DATE_RE, " "));
+}
+
+/**
+ * Returns every phone number in the text, normalized to bare 10 digits
+ * (country code / leading 0 stripped), deduped, in order of appearance.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractPhoneNumbers(text) {
+  return [...new Set(findPhoneNumbers(text).map((phone) => phone.digits))];
+}
+
+/**
+ * Rewrites every phone number in the text (same matching as extractPhoneNumbers).
+ * `replacer(written, digits)` gets the number as written and its bare 10 digits.
+ *
+ * @param {string} text
+ * @param {(written: string, digits: string) => string} replacer
+ * @returns {string}
+ */
+export function replacePhoneNumbers(text, replacer) {
+  if (!text) return text;
+  let out  = "";
+  let last = 0;
+  for (const { start, end, written, digits } of findPhoneNumbers(text)) {
+    out += text.slice(last, start) + replacer(written, digits);
+    last = end;
+  }
+  return out + text.slice(last);
+}
+
 // =============================================================================
 // BLOCKED NUMBER CHECK
 // =============================================================================
 
+/**
+ * True when the text contains a blocked number. Entries are 10-digit strings or
+ * RegExp rules (blocked-data.json regex entries) tested against each number.
+ */
 export function containsBlockedNumber(text, blockedNumbers) {
   if (!text || !blockedNumbers || blockedNumbers.length === 0) return false;
 
   // Build O(1) lookup set of normalized 10-digit blocked numbers
   const blockedSet = new Set(
     blockedNumbers
+      .filter(n => typeof n === "string")
       .map(n => n.replace(/\D/g, "").slice(-10))
       .filter(n => n.length === 10)
   );
+  const blockedRules = blockedNumbers.filter(n => n instanceof RegExp);
 
   // Find phone-number-like sequences: 7-15 digit groups with optional separators
   // Covers: 7508815731, 75088-15731, +91 7508815731, 917508815731, etc.
@@ -111,6 +264,7 @@ export function containsBlockedNumber(text, blockedNumbers) {
     if (digits.length >= 10) {
       const normalized = digits.slice(-10); // strips country code prefix automatically
       if (blockedSet.has(normalized)) return true;
+      if (blockedRules.some(rule => rule.test(normalized))) return true;
     }
   }
 
@@ -121,24 +275,145 @@ export function containsBlockedNumber(text, blockedNumbers) {
 // CITY EXTRACTION (Bot-1 pickup-first priority logic, preserved exactly)
 // =============================================================================
 
+// =============================================================================
+// FUZZY CITY MATCHING — fallback for typos the alias map doesn't list yet
+// =============================================================================
+// Only consulted when the exact canonical/alias lookup misses for EVERY word of
+// the phrase being scanned, and only for a single Latin token. A hit needs BOTH
+// a long-enough token (short tokens like "amb", "cab", "kal" are too ambiguous)
+// and a similarity score ≥ minScore.
+//   score = 1 - editDistance / longerLength    (Damerau/OSA distance)
+//   score = PHONETIC_SCORE when the phonetic keys are equal ("dehlee" ~ "delhi")
+// If the best score is shared by two different cities the token is ambiguous
+// and does NOT match.
+
+export const DEFAULT_FUZZY_CITY_MATCH = {
+  enabled:        true,
+  minTokenLength: 5,
+  minScore:       0.8,
+};
+
+const PHONETIC_SCORE = 0.85;
+
+// Ride vocabulary that sits within one edit of some alias — never fuzzy-matched.
+const FUZZY_STOPWORDS = new Set([
+  "sedan", "sadan", "dzire", "dezire", "innova", "crysta", "ertiga", "etios",
+  "tempo", "parcel", "carrier", "current", "urgent", "pickup", "airport",
+  "station", "railway", "return", "needed", "please", "number", "driver",
+  "booking", "available", "outstation", "today", "tomorrow", "morning",
+  "evening", "night", "sector", "phase", "market", "nagar", "colony", "hotel",
+  "hospital", "chahiye", "chahida", "jaana", "jana", "wala", "wali", "gaddi",
+  "gadi", "sawari", "savari", "booked", "contact", "trip", "round", "local",
+  // Hinglish verbs and filler ("book karna hai", "gaadi chahiye") — "karna"
+  // is one edit from "karnal"
+  "karna", "karni", "karne", "karo", "karke", "karwana", "karwani", "chahie",
+  "chaiye", "wale", "waala", "waali", "jaani", "jaane", "jayega", "jaayega",
+  "milega", "milegi", "batao", "bataye", "bhejo", "turant", "jaldi", "rahega",
+  "chalna", "chalega",
+]);
+
+/** Optimal-string-alignment distance (Levenshtein + adjacent transposition). */
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 1; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[rows - 1][cols - 1];
+}
+
 /**
- * Extracts the PICKUP city from message text using 4-pass priority:
- *   1. "from X to Y" → X
- *   2. "X to Y"      → X
- *   3. "pickup: X"   → X
- *   4. Word scan     → first city found (fallback)
- *
- * @param {string}   text            - Raw message text
- * @param {string[]} configuredCities - List of canonical city names to match against
- * @returns {string|null}
+ * Rough Hinglish phonetic key: folds the spelling choices people make for the
+ * same sound (ee/i, oo/u, w/v, z/j, silent h, doubled letters).
  */
-export function extractPickupCity(text, configuredCities) {
-  if (!text) return null;
-  if (!configuredCities || !Array.isArray(configuredCities) || configuredCities.length === 0) {
-    return null;
+function phoneticKey(word) {
+  return word
+    .replace(/ph/g, "f")
+    .replace(/ee|ey|ie|y/g, "i")
+    .replace(/oo|ou/g, "u")
+    .replace(/w/g, "v")
+    .replace(/z/g, "j")
+    .replace(/q/g, "k")
+    .replace(/(?!^)h/g, "")
+    .replace(/(.)\1+/g, "$1");
+}
+
+// Fuzzy candidates per configuredCities array: [{ key, city, phonetic }], built
+// once per list (the router passes the same config array on every message).
+let fuzzyCandidateCache = new WeakMap();
+onCityAliasesReload(() => { fuzzyCandidateCache = new WeakMap(); });
+
+function getFuzzyCandidates(configuredCities) {
+  let candidates = fuzzyCandidateCache.get(configuredCities);
+  if (candidates) return candidates;
+
+  const byKey = new Map();
+  for (const city of configuredCities) byKey.set(city.toLowerCase(), city);
+  for (const [alias, city] of Object.entries(CITY_ALIASES)) {
+    if (configuredCities.includes(city) && /^[a-z]+$/.test(alias)) byKey.set(alias, city);
   }
 
-  const normalized = normalizeText(text);
+  candidates = [...byKey].map(([key, city]) => ({ key, city, phonetic: phoneticKey(key) }));
+  fuzzyCandidateCache.set(configuredCities, candidates);
+  return candidates;
+}
+
+/**
+ * Best fuzzy match for one token, or null.
+ * @returns {{ token: string, city: string, alias: string, score: number }|null}
+ */
+function fuzzyMatchCity(token, configuredCities, settings) {
+  if (token.length < settings.minTokenLength) return null;
+  if (!/^[a-z]+$/.test(token) || FUZZY_STOPWORDS.has(token)) return null;
+  if (CITY_ALIASES[token]) return null; // a known place, just not one this bot routes
+
+  const tokenPhonetic = phoneticKey(token);
+  let best = null;
+  let ambiguous = false;
+
+  for (const { key, city, phonetic } of getFuzzyCandidates(configuredCities)) {
+    if (Math.abs(key.length - token.length) > 2) continue;
+
+    let score = 1 - editDistance(token, key) / Math.max(token.length, key.length);
+    if (phonetic === tokenPhonetic) score = Math.max(score, PHONETIC_SCORE);
+    if (score < settings.minScore) continue;
+
+    if (!best || score > best.score) {
+      best = { token, city, alias: key, score };
+      ambiguous = false;
+    } else if (score === best.score && city !== best.city) {
+      ambiguous = true;
+    }
+  }
+
+  if (!best || ambiguous) return null;
+  best.score = Math.round(best.score * 100) / 100;
+  return best;
+}
+
+/**
+ * Builds the alias-aware matcher shared by pickup and drop extraction.
+ * Only cities in configuredCities are ever returned.
+ *
+ * @param {string[]} configuredCities - Canonical city names to match against
+ * @param {Object}   [options]
+ * @param {Object|false} [options.fuzzy]  - Fuzzy settings (DEFAULT_FUZZY_CITY_MATCH), false = off
+ * @param {Object[]} [options.fuzzyHits]  - Every fuzzy match is pushed here for logging
+ * @returns {{ isConfiguredCity: Function, scanWords: Function }}
+ */
+function makeCityMatcher(configuredCities, options = {}) {
+  const fuzzy = options.fuzzy === false
+    ? null
+    : { ...DEFAULT_FUZZY_CITY_MATCH, ...(options.fuzzy || {}) };
 
   function isConfiguredCity(word) {
     const wordLower = word.toLowerCase().trim();
@@ -155,6 +430,14 @@ export function extractPickupCity(text, configuredCities) {
     return null;
   }
 
+  function isFuzzyCity(word) {
+    if (!fuzzy?.enabled) return null;
+    const hit = fuzzyMatchCity(word, configuredCities, fuzzy);
+    if (!hit) return null;
+    if (options.fuzzyHits) options.fuzzyHits.push(hit);
+    return hit.city;
+  }
+
   function scanWords(phrase, maxWords = 3) {
     const words = phrase.trim().split(/\s+/);
     for (let i = 0; i < words.length; i++) {
@@ -172,9 +455,42 @@ export function extractPickupCity(text, configuredCities) {
         if (c3) return c3;
       }
     }
+    // Fuzzy 1-word — only once no exact/alias match exists ANYWHERE in the
+    // phrase, so a near-miss filler word can't beat a real city later on
+    for (const word of words) {
+      const cf = isFuzzyCity(word);
+      if (cf) return cf;
+    }
     return null;
   }
 
+  return { isConfiguredCity, scanWords };
+}
+
+function hasCityList(configuredCities) {
+  return Array.isArray(configuredCities) && configuredCities.length > 0;
+}
+
+/**
+ * Extracts the PICKUP city from message text using 4-pass priority:
+ *   1. "from X to Y" → X
+ *   2. "X to Y"      → X
+ *      "X से Y" / "X ਤੋਂ Y" → X  (native script, only if X holds a city)
+ *   3. "pickup: X"   → X
+ *   4. Word scan     → first city found (fallback)
+ *
+ * @param {string}   text            - Raw message text
+ * @param {string[]} configuredCities - List of canonical city names to match against
+ * @param {Object}   [options]        - { fuzzy, fuzzyHits } — see makeCityMatcher
+ * @returns {string|null}
+ */
+export function extractPickupCity(text, configuredCities, options = {}) {
+  if (!text) return null;
+  if (!hasCityList(configuredCities)) return null;
+
+  const normalized    = normalizeText(text);
+  const { scanWords } = makeCityMatcher(configuredCities, options);
+
   // Pass 1: "from X to Y" → extract X
   const fromToMatch = normalized.match(/\bfrom\s+([a-z\s]+?)\s+to\s+([a-z\s]+?)(?:\s|$|[^a-z])/i);
   if (fromToMatch) {
@@ -189,12 +505,20 @@ export function extractPickupCity(text, configuredCities) {
     return city;
   }
 
+  // Pass 2b: "X से Y" / "X ਤੋਂ Y" → extract X. Falls through when X holds no
+  // city — से/ਤੋਂ also mean "with"/"than" etc., unlike the English "to".
+  const nativeMatch = normalized.match(NATIVE_FROM_RE);
+  if (nativeMatch) {
+    const city = scanWords(nativeMatch[1]);
+    if (city) return city;
+  }
+
   // Pass 3: "pickup: X" or "pickup X"
   const pickupMatch = normalized.match(
     /\bpickup\s*:?\s*([a-z\s]+?)(?:\s*drop|\s*to|\s*-|\s*phone|\s*\d|$)/i
   );
   if (pickupMatch) {
-    const city = scanWords(pickupMatch[1].slice(0, 3));  // max 3 words
+    const city = scanWords(pickupMatch[1].trim().split(/\s+/).slice(0, 3).join(" "));  // max 3 words
     return city;
   }
 
@@ -202,6 +526,59 @@ export function extractPickupCity(text, configuredCities) {
   return scanWords(normalized);
 }
 
+/**
+ * Extracts the DROP city — the mirror of extractPickupCity's first three passes:
+ *   1. "from X to Y" → Y
+ *   2. "X to Y"      → Y
+ *      "X से Y" / "X ਤੋਂ Y" → Y, "Y तक" / "Y ਤੱਕ" → Y  (native script)
+ *   3. "drop: Y"     → Y
+ *
+ * There is deliberately NO word-scan fallback: the first city in a message is
+ * the pickup, so a fallback would just echo it back as the drop.
+ *
+ * @param {string}   text            - Raw message text
+ * @param {string[]} configuredCities - List of canonical city names to match against
+ * @param {Object}   [options]        - { fuzzy, fuzzyHits } — see makeCityMatcher
+ * @returns {string|null}
+ */
+export function extractDropCity(text, configuredCities, options = {}) {
+  if (!text) return null;
+  if (!hasCityList(configuredCities)) return null;
+
+  const normalized    = normalizeText(text);
+  const { scanWords } = makeCityMatcher(configuredCities, options);
+
+  // Each pass captures up to 3 words after the marker (enough for "new delhi railway")
+
+  // Pass 1: "from X to Y" → extract Y
+  const fromToMatch = normalized.match(/\bfrom\s+[a-z\s]+?\s+to\s+([a-z]+(?:\s+[a-z]+){0,2})/i);
+  if (fromToMatch) return scanWords(fromToMatch[1]);
+
+  // Pass 2: "X to Y" → extract Y
+  const toMatch = normalized.match(/\b[a-z]+\s+to\s+([a-z]+(?:\s+[a-z]+){0,2})/i);
+  if (toMatch) return scanWords(toMatch[1]);
+
+  // Pass 2b: "X से Y" / "X ਤੋਂ Y" → extract Y (falls through, as for pickup)
+  const nativeMatch = normalized.match(NATIVE_FROM_RE);
+  if (nativeMatch) {
+    const city = scanWords(nativeMatch[2]);
+    if (city) return city;
+  }
+
+  // Pass 2c: "Y तक" / "Y ਤੱਕ" → extract Y
+  const untilMatch = normalized.match(NATIVE_UNTIL_RE);
+  if (untilMatch) {
+    const city = scanWords(untilMatch[1]);
+    if (city) return city;
+  }
+
+  // Pass 3: "drop: Y" or "drop Y"
+  const dropMatch = normalized.match(/\bdrop\s*:?\s*([a-z]+(?:\s+[a-z]+){0,2})/i);
+  if (dropMatch) return scanWords(dropMatch[1]);
+
+  return null;
+}
+
 // Alias for backward compatibility
 export const extractFirstCity = extractPickupCity;
 
@@ -209,26 +586,39 @@ export const extractFirstCity = extractPickupCity;
 // TAXI REQUEST GATE
 // =============================================================================
 
-/**
- * Returns true if message passes all filters and looks like a taxi request.
- */
-export function isTaxiRequest(text, keywords, ignoreList, blockedNumbers = []) {
-  if (!text) return false;
+// Defaults for scoreTaxiRequest — GLOBAL_CONFIG.taxiScoring overrides these.
+// The defaults give exactly the old boolean decision: a keyword OR route
+// pattern passes, nothing else matters. Links, emoji walls and phone-number
+// dumps are still reported as reasons, but weigh 0 — set a negative weight to
+// let them pull a message back under the threshold.
+export const DEFAULT_TAXI_SCORING = {
+  threshold: 1,
+  weights: {
+    keyword:      1,
+    routePattern: 1,
+    phone:        0.5,
+    manyPhones:   0,
+    link:         0,
+    emojiDensity: 0,
+  },
+  maxPhones:         3,    // more distinct numbers than this = a contact list / ad
+  maxEmojiDensity:   0.3,  // emoji per non-space character
+};
 
-  const normalized   = normalizeText(text);
-  // NFC-normalize so precomposed and decomposed (nukta) Hindi/Punjabi forms
-  // collapse to one canonical form before matching ignore keywords. Without this,
-  // e.g. खड़ी typed with a combining nukta (U+093C) would NOT match the same word
-  // typed with the precomposed character (U+095C), letting spam leak through.
-  const originalLower = text.normalize("NFC").toLowerCase().replace(/[*_`~]/g, ""); // strip formatting so _word_ / *word* match ignore keywords
-
-  // Blocked number check
-  if (blockedNumbers.length > 0 && containsBlockedNumber(text, blockedNumbers)) {
-    return false;
-  }
+const LINK_RE  = /(?:https?:\/\/|www\.|chat\.whatsapp\.com|wa\.me\/|t\.me\/)\S*/i;
+const EMOJI_RE = /\p{Extended_Pictographic}/gu;
 
-  // Ignore keyword check (against raw lowercase — catches unicode/Punjabi/Hindi)
+/**
+ * Returns the first ignore-list entry found in the message, or null.
+ * Phrases and emoji/symbol entries match as substrings, single words on
+ * word boundaries, RegExp rules (blocked-data.json regex entries) as-is.
+ */
+function findIgnorePhrase(originalLower, ignoreList) {
   for (const ignoreWord of ignoreList) {
+    if (ignoreWord instanceof RegExp) {
+      if (ignoreWord.test(originalLower)) return ignoreWord.toString();
+      continue;
+    }
     const ignoreWordLower = ignoreWord.normalize("NFC").toLowerCase();
     
     // Create regex with word boundaries for single words
@@ -236,39 +626,166 @@ export function isTaxiRequest(text, keywords, ignoreList, blockedNumbers = []) {
     if (ignoreWordLower.includes(' ')) {
       // Multi-word phrase - check as substring
       if (originalLower.includes(ignoreWordLower)) {
-        return false;
+        return ignoreWord;
       }
     } else if (/[^\w\s]/.test(ignoreWordLower)) {
       // Contains non-word chars (emoji, symbols) — word boundaries don't apply, use substring
       if (originalLower.includes(ignoreWordLower)) {
-        return false;
+        return ignoreWord;
       }
     } else {
       // Single word - use word boundary regex
       const wordBoundaryRegex = new RegExp(`\\b${ignoreWordLower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
       if (wordBoundaryRegex.test(originalLower)) {
-        return false;
+        return ignoreWord;
       }
     }
   }
-  // Must have taxi keyword OR route pattern
-  const hasKeyword = keywords.some((kw) => normalized.includes(kw.toLowerCase()));
-  const hasRoute   = ROUTE_PATTERNS.some((pattern) => pattern.test(normalized));
+  return null;
+}
+
+/**
+ * @typedef {Object} TaxiScoreReason
+ * @property {string}      code   - blockedNumber | ignorePhrase | keyword | routePattern |
+ *                                  phone | manyPhones | link | emojiDensity
+ * @property {number|null} weight - Score contribution; null = hard reject
+ * @property {string}      detail - What matched (keywords, phrase, counts)
+ */
+
+/**
+ * @typedef {Object} TaxiScore
+ * @property {boolean}           isTaxi
+ * @property {number}            score
+ * @property {number}            threshold
+ * @property {TaxiScoreReason[]} reasons
+ * @property {string|null}       rejectReason - Code that decided a rejection:
+ *           the hard rule, the biggest penalty, or "noSignal" when nothing
+ *           taxi-like matched. null when accepted.
+ */
+
+/**
+ * Explainable taxi/spam classifier. Blocked numbers and ignore phrases are
+ * hard rejects; everything else adds or subtracts weight and the message
+ * passes when score ≥ threshold.
+ *
+ * @param {string}   text
+ * @param {string[]} keywords
+ * @param {string[]} ignoreList
+ * @param {string[]} [blockedNumbers]
+ * @param {Object}   [scoring]        - Partial DEFAULT_TAXI_SCORING overrides
+ * @returns {TaxiScore}
+ */
+export function scoreTaxiRequest(text, keywords, ignoreList, blockedNumbers = [], scoring = {}) {
+  const weights   = { ...DEFAULT_TAXI_SCORING.weights, ...scoring?.weights };
+  const threshold = scoring?.threshold ?? DEFAULT_TAXI_SCORING.threshold;
+  const maxPhones = scoring?.maxPhones ?? DEFAULT_TAXI_SCORING.maxPhones;
+  const maxEmojiDensity = scoring?.maxEmojiDensity ?? DEFAULT_TAXI_SCORING.maxEmojiDensity;
+
+  const result = { isTaxi: false, score: 0, threshold, reasons: [], rejectReason: null };
+  const reject = (code, detail) => {
+    result.reasons.push({ code, weight: null, detail });
+    result.rejectReason = code;
+    return result;
+  };
+
+  if (!text) {
+    result.rejectReason = "noSignal";
+    return result;
+  }
+
+  const normalized   = normalizeText(text);
+  // NFC-normalize so precomposed and decomposed (nukta) Hindi/Punjabi forms
+  // collapse to one canonical form before matching ignore keywords. Without this,
+  // e.g. खड़ी typed with a combining nukta (U+093C) would NOT match the same word
+  // typed with the precomposed character (U+095C), letting spam leak through.
+  const originalLower = text.normalize("NFC").toLowerCase().replace(/[*_`~]/g, ""); // strip formatting so _word_ / *word* match ignore keywords
+
+  // Hard reject: blocked number
+  if (blockedNumbers.length > 0 && containsBlockedNumber(text, blockedNumbers)) {
+    return reject("blockedNumber", "message contains a blocked number");
+  }
+
+  // Hard reject: ignore keyword (against raw lowercase — catches unicode/Punjabi/Hindi)
+  const ignorePhrase = findIgnorePhrase(originalLower, ignoreList);
+  if (ignorePhrase) {
+    return reject("ignorePhrase", `"${ignorePhrase}"`);
+  }
+
+  const add = (code, detail) => {
+    result.reasons.push({ code, weight: weights[code], detail });
+    result.score += weights[code];
+  };
+
+  // Taxi signals: keyword / route pattern
+  const matchedKeywords = keywords.filter((kw) => normalized.includes(kw.toLowerCase()));
+  if (matchedKeywords.length > 0) {
+    add("keyword", matchedKeywords.slice(0, 5).join(", ") + (matchedKeywords.length > 5 ? ", …" : ""));
+  }
+  const routePattern = ROUTE_PATTERNS.find((pattern) => pattern.test(normalized));
+  if (routePattern) {
+    add("routePattern", normalized.match(routePattern)[0].trim());
+  }
+
+  // Contact numbers: one or a few is a ride, a dump of them is an ad
+  const phoneCount = extractPhoneNumbers(text).length;
+  if (phoneCount > maxPhones) {
+    add("manyPhones", `${phoneCount} numbers`);
+  } else if (phoneCount > 0) {
+    add("phone", `${phoneCount} number${phoneCount > 1 ? "s" : ""}`);
+  }
 
-  return hasKeyword || hasRoute;
+  // Spam signals: links, emoji walls
+  const link = text.match(LINK_RE);
+  if (link) {
+    add("link", link[0].substring(0, 40));
+  }
+  const emojiCount = (text.match(EMOJI_RE) || []).length;
+  const visibleChars = text.replace(/\s/g, "").length;
+  if (emojiCount > 0 && visibleChars > 0 && emojiCount / visibleChars > maxEmojiDensity) {
+    add("emojiDensity", `${emojiCount}/${visibleChars} chars`);
+  }
+
+  result.score  = Math.round(result.score * 100) / 100;
+  result.isTaxi = (matchedKeywords.length > 0 || !!routePattern) && result.score >= threshold;
+
+  if (!result.isTaxi) {
+    const penalties = result.reasons.filter((r) => r.weight < 0).sort((a, b) => a.weight - b.weight);
+    result.rejectReason = penalties[0]?.code ?? (matchedKeywords.length || routePattern ? "lowScore" : "noSignal");
+  }
+  return result;
+}
+
+/**
+ * Returns true if message passes all filters and looks like a taxi request.
+ * Boolean view of scoreTaxiRequest() — use that when you need the reasons.
+ */
+export function isTaxiRequest(text, keywords, ignoreList, blockedNumbers = [], scoring = {}) {
+  return scoreTaxiRequest(text, keywords, ignoreList, blockedNumbers, scoring).isTaxi;
+}
+
+/** One-line "code(+w: detail)" summary of score reasons for logs. */
+export function formatTaxiReasons(reasons) {
+  return reasons
+    .map((r) => `${r.code}(${r.weight === null ? "reject" : (r.weight > 0 ? "+" : "") + r.weight}: ${r.detail})`)
+    .join(", ");
 }
 
 // =============================================================================
-// FINGERPRINT (Bot-1 logic preserved exactly)
+// FINGERPRINT — content-only dedup key
 // =============================================================================
 
 /**
- * Generates a deduplication fingerprint for a message.
- * Same content within the same 5-minute window → identical fingerprint.
+ * Generates a deduplication fingerprint for a message — a pure CONTENT key.
+ * The text is lowercased, whitespace collapsed, punctuation/emoji stripped,
+ * every 10+ digit run replaced by "PHONE" and cut to 300 chars, then hashed.
+ * Same content → identical fingerprint, whenever it was posted. How long a
+ * fingerprint blocks reposts is decided by the caller from its first-seen
+ * timestamp (sliding TTL), not by a time bucket baked into the key: a bucket
+ * split reposts at 10:04:59 / 10:05:01 into two "new" messages.
  *
  * @param {string} text
  * @param {string|null} messageId    - Unused but kept for API compat
- * @param {number|null} timestamp    - Unix ms; defaults to Date.now()
+ * @param {number|null} timestamp    - Unused but kept for API compat
  * @returns {string}
  */
 export function getMessageFingerprint(text, messageId = null, timestamp = null) {
@@ -291,8 +808,508 @@ export function getMessageFingerprint(text, messageId = null, timestamp = null)
   }
   const textHash = Math.abs(hash).toString(36);
 
-  const now        = timestamp || Date.now();
-  const timeWindow = Math.floor(now / 300000); // 5-minute bucket
+  return `fp-${textHash}`;
+}
+
+// =============================================================================
+// RIDE PARSER — one structured Ride per message
+// =============================================================================
+
+// Canonical vehicle classes, checked in order — the first class with a keyword
+// in the message wins, so the specific "innova crysta" beats the generic "suv"
+// and "tempo traveller" beats a stray "sedan" in the same post.
+const VEHICLE_CLASSES = [
+  ["innova",    ["innova", "crysta", "hycross", "इनोवा", "ਇਨੋਵਾ"]],
+  ["tempo",     ["tempo", "traveller", "traveler", "urbania", "12 seater",
+                 "14 seater", "17 seater", "26 seater", "mini bus", "minibus", "टेंपो", "ਟੈਂਪੂ"]],
+  ["suv",       ["suv", "ertiga", "xylo", "scorpio", "marazzo", "carens", "xuv", "bolero",
+                 "fortuner", "rumion", "kia", "6 seater", "7 seater", "7 seat", "अर्टिगा", "ਅਰਟਿਗਾ"]],
+  ["sedan",     ["sedan", "sadan", "dzire", "dezire", "desire", "etios", "aura", "amaze",
+                 "honda", "xcent", "ciaz", "verna", "4 seater", "सेडान", "ਸੇਡਾਨ"]],
+  ["hatchback", ["hatchback", "small", "small car", "swift", "wagonr", "wagon r", "alto",
+                 "celerio", "i10", "i20", "santro", "kwid"]],
+  ["parcel",    ["parcel", "carrier", "courier", "luggage only", "saman", "पार्सल", "ਪਾਰਸਲ"]],
+];
+
+export const VEHICLE_CLASS_NAMES = VEHICLE_CLASSES.map(([name]) => name);
+
+/**
+ * Whole-word alternation regex that also works for Devanagari/Gurmukhi.
+ * Boundaries are "not a letter/mark/digit" rather than \b, which is ASCII-only
+ * and never matches around Indic script. Group 1 = the word that matched.
+ */
+function wordsRegex(words) {
+  const alternation = words.map((w) => w.normalize("NFC")).join("|");
+  return new RegExp(`(?:^|[^\\p{L}\\p{M}\\d])(${alternation})(?=$|[^\\p{L}\\p{M}\\d])`, "u");
+}
+
+// One pre-built regex per class
+const VEHICLE_CLASS_PATTERNS = VEHICLE_CLASSES.map(([name, words]) => [name, wordsRegex(words)]);
+
+/**
+ * Returns the canonical vehicle class mentioned in the text, or null.
+ * One of VEHICLE_CLASS_NAMES: innova | tempo | suv | sedan | hatchback | parcel.
+ *
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function extractVehicleClass(text) {
+  const normalized = normalizeText(text);
+  if (!normalized) return null;
+
+  for (const [vehicleClass, pattern] of VEHICLE_CLASS_PATTERNS) {
+    if (pattern.test(normalized)) return vehicleClass;
+  }
+  return null;
+}
+
+// =============================================================================
+// PICKUP TIME — Hinglish / Hindi / Punjabi phrases → an Asia/Kolkata timestamp
+// =============================================================================
+// "kal subah 5 baje", "tomorrow 4am", "aaj shaam 7:30", "parso", "abhi".
+// Kolkata is UTC+5:30 all year (no DST), so a fixed offset is exact.
+
+const IST_OFFSET_MS = 330 * 60_000;
+
+// A ride is "scheduled" when its pickup is at least this far away.
+export const DEFAULT_SCHEDULED_AFTER_MS = 2 * 3_600_000;
+
+// A clock time this far in the past still means "today, running late".
+const PAST_GRACE_MS = 30 * 60_000;
+
+const DAY_WORDS = [
+  [2, wordsRegex(["parso", "parson", "parsoon", "day after tomorrow", "परसों", "ਪਰਸੋਂ"])],
+  [1, wordsRegex(["kal", "kall", "tomorrow", "tmrw", "tomorow", "कल", "ਕੱਲ", "ਕੱਲ੍ਹ", "ਭਲਕੇ"])],
+  [0, wordsRegex(["aaj", "today", "tonight", "आज", "ਅੱਜ"])],
+];
+
+// Part of day → default hour when no clock time is given
+const PERIOD_WORDS = [
+  ["morning",   7, wordsRegex(["subah", "subha", "savere", "savera", "morning", "सुबह", "ਸਵੇਰੇ", "ਸਵੇਰ"])],
+  ["afternoon", 13, wordsRegex(["dopahar", "dophar", "dupehar", "afternoon", "दोपहर", "ਦੁਪਹਿਰ"])],
+  ["evening",   18, wordsRegex(["shaam", "sham", "evening", "शाम", "ਸ਼ਾਮ"])],
+  ["night",     21, wordsRegex(["raat", "night", "tonight", "रात", "ਰਾਤ"])],
+];
+
+const IMMEDIATE_RE = wordsRegex([
+  "abhi", "abi", "now", "right now", "turant", "immediately", "asap", "अभी", "तुरंत", "ਹੁਣੇ", "ਤੁਰੰਤ",
+]);
+
+// "good morning" / "gud night" are greetings, not pickup times
+const GREETING_RE = /(?:^|\s)(?:good|gud|gd)\s+(?:morning|afternoon|evening|night)(?=$|\s|[^\p{L}])/gu;
+
+// "5 baje", "5:30 pm", "4am", "5.30 बजे", "7 ਵਜੇ"
+const CLOCK_SUFFIX_RE =
+  /(?<![\d.:])(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.?|p\.m\.?|baje|bje|vaje|vje|बजे|ਵਜੇ)(?![\p{L}\p{M}\d])/u;
+// "16:30", "5:45" (colon only — "5.30" without a suffix is too often a price)
+const CLOCK_COLON_RE = /(?<![\d.:])([01]?\d|2[0-3]):([0-5]\d)(?![\d.:])/u;
+// "at 5" / "subah 5" — a bare number right after "at" or a part-of-day word
+const BARE_HOUR_AFTER_RE = /^\s+(\d{1,2})(?:[:.](\d{2}))?(?![\d:.]|\s*(?:seater|seat|km|din|day))/u;
+
+function firstMatch(normalized, regex) {
+  const m = normalized.match(regex);
+  return m ? { word: m[1], index: m.index + m[0].indexOf(m[1]) } : null;
+}
+
+/**
+ * Applies an explicit am/pm suffix or a part-of-day word to a 12h clock hour.
+ * Returns null when the hour is still ambiguous. May return ≥ 24 (past
+ * midnight: "raat 2 baje" = 02:00 the next day).
+ */
+function resolveHour(hour, suffix, period) {
+  if (hour > 12) return hour;
+  if (suffix?.startsWith("a")) return hour % 12;
+  if (suffix?.startsWith("p")) return (hour % 12) + 12;
+
+  switch (period) {
+    case "morning":   return hour % 12;
+    case "afternoon": return hour === 12 ? 12 : hour <= 6 ? hour + 12 : hour;
+    case "evening":   return hour === 12 ? 12 : hour + 12;
+    case "night":     return hour === 12 ? 24 : hour < 6 ? hour + 24 : hour + 12;
+    default:          return null;
+  }
+}
+
+/**
+ * Parses when the pickup is wanted, in Asia/Kolkata.
+ *
+ * Bare hours ("5 baje") with no am/pm or part of day resolve to the next
+ * occurrence from `now` (5 → 05:00 or 17:00, whichever comes first). With an
+ * explicit day ("kal 5 baje") they resolve to 07:00-12:59 as morning and
+ * 1-6 as afternoon/evening — how dispatchers write them.
+ *
+ * @param {string} text
+ * @param {number} [now]  - Unix ms; defaults to Date.now()
+ * @returns {{ text: string|null, at: number|null, dayOffset: number|null, immediate: boolean }}
+ *   at = pickup time (Unix ms), null when only a day ("kal") or nothing was given
+ */
+export function parsePickupTime(text, now = Date.now()) {
+  const result = { text: null, at: null, dayOffset: null, immediate: false };
+  const normalized = normalizeText(text).replace(GREETING_RE, " ");
+  if (!normalized.trim()) return result;
+
+  const phrases = [];
+
+  let dayOffset = null;
+  for (const [offset, regex] of DAY_WORDS) {
+    const m = firstMatch(normalized, regex);
+    if (m) { dayOffset = offset; phrases.push(m); break; }
+  }
+
+  let period = null;
+  let periodHour = null;
+  let periodMatch = null;
+  for (const [name, defaultHour, regex] of PERIOD_WORDS) {
+    const m = firstMatch(normalized, regex);
+    if (m) { period = name; periodHour = defaultHour; periodMatch = m; phrases.push(m); break; }
+  }
+
+  // Clock time: suffix form first, then hh:mm, then a bare number after "at"/period
+  let hour = null;
+  let minute = 0;
+  let suffix = null;
+  const suffixMatch = normalized.match(CLOCK_SUFFIX_RE);
+  const colonMatch  = suffixMatch ? null : normalized.match(CLOCK_COLON_RE);
+  const clockMatch  = suffixMatch || colonMatch;
+  if (clockMatch) {
+    hour   = parseInt(clockMatch[1], 10);
+    minute = clockMatch[2] ? parseInt(clockMatch[2], 10) : 0;
+    suffix = suffixMatch ? suffixMatch[3] : null;
+    phrases.push({ word: clockMatch[0].trim(), index: clockMatch.index });
+  } else {
+    const anchors = [periodMatch, firstMatch(normalized, /(?:^|\s)(at)(?=\s)/u)].filter(Boolean);
+    for (const anchor of anchors) {
+      const m = normalized.slice(anchor.index + anchor.word.length).match(BARE_HOUR_AFTER_RE);
+      if (m) {
+        hour   = parseInt(m[1], 10);
+        minute = m[2] ? parseInt(m[2], 10) : 0;
+        phrases.push({ word: m[0].trim(), index: anchor.index + anchor.word.length + m.index });
+        break;
+      }
+    }
+  }
+  if (hour !== null && (hour > 23 || minute > 59)) hour = null;
+
+  const immediateMatch = firstMatch(normalized, IMMEDIATE_RE);
+  if (immediateMatch) phrases.push(immediateMatch);
+
+  result.dayOffset = dayOffset;
+  // One word can set both day and period ("tonight") — list it once
+  const spoken = phrases
+    .sort((a, b) => a.index - b.index)
+    .filter((p, i, sorted) => i === 0 || p.index !== sorted[i - 1].index);
+  result.text = spoken.length ? spoken.map((p) => p.word).join(" ") : null;
+
+  // IST wall-clock for "today"
+  const ist = new Date(now + IST_OFFSET_MS);
+  const atIst = (days, h, m) =>
+    Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate() + days, h, m) - IST_OFFSET_MS;
+
+  if (hour !== null) {
+    let resolved = resolveHour(hour, suffix, period);
 
-  return `fp-${textHash}-${timeWindow}`;
-}
\ No newline at end of file
+    if (dayOffset !== null) {
+      if (resolved === null) resolved = hour === 12 ? 12 : hour >= 7 ? hour : hour + 12;
+      result.at = atIst(dayOffset, resolved, minute);
+    } else if (resolved !== null) {
+      result.at = atIst(0, resolved, minute);
+      if (result.at < now - PAST_GRACE_MS) result.at = atIst(1, resolved, minute);
+    } else {
+      // Ambiguous bare hour: next of hh:mm / hh+12:mm / tomorrow hh:mm
+      result.at = [atIst(0, hour % 12, minute), atIst(0, (hour % 12) + 12, minute), atIst(1, hour % 12, minute)]
+        .find((t) => t >= now - PAST_GRACE_MS);
+    }
+  } else if (period) {
+    result.at = atIst(dayOffset ?? 0, periodHour, 0);
+    // "shaam" said at 20:00 is this evening (≈ now); "subah" said at 20:00 is tomorrow
+    if (dayOffset === null && result.at < now) {
+      result.at = now - result.at > 6 * 3_600_000 ? atIst(1, periodHour, 0) : now;
+    }
+  } else if (immediateMatch && dayOffset === null) {
+    result.at = now;
+  }
+
+  result.immediate = result.at !== null
+    ? result.at - now < DEFAULT_SCHEDULED_AFTER_MS
+    : dayOffset === null || dayOffset === 0;
+  return result;
+}
+
+/**
+ * Returns the requested-time phrase as written ("kal subah 5 baje", "4:30 pm",
+ * "abhi"), or null when the message doesn't say.
+ *
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function extractTimeText(text) {
+  return parsePickupTime(text).text;
+}
+
+/** Formats a Unix-ms time as "YYYY-MM-DD HH:mm IST" for logs. */
+export function formatIstTime(ms) {
+  return new Date(ms + IST_OFFSET_MS).toISOString().slice(0, 16).replace("T", " ") + " IST";
+}
+
+/**
+ * Returns the stated fare in rupees ("₹1500", "rs 1500", "fare 1500", "1500/-"),
+ * or null. Phone numbers are never read as fares (max 5 digits).
+ *
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function extractFare(text) {
+  const normalized = normalizeText(text);
+  if (!normalized) return null;
+
+  const match =
+    normalized.match(/(?:₹|\brs\.?|\binr|\bfare|\brate|\bprice|\bbudget)\s*:?\s*(\d{3,5})(?!\d)/) ||
+    normalized.match(/(?<!\d)(\d{3,5})\s*(?:\/-|₹|rs\b|rupees\b)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// =============================================================================
+// POST INTENT — supply ("Innova available, empty return") vs demand ("cab chahiye")
+// =============================================================================
+// Both kinds carry vehicle words and "X to Y", so isTaxiRequest passes both.
+// The markers below are what actually separates them.
+
+const SUPPLY_MARKERS = wordsRegex([
+  "available", "availabel", "avail", "avl", "avlb", "avbl", "empty", "khali", "khaali",
+  "return", "back to", "vapsi", "wapsi", "wapis", "free hai", "gaddi free", "car free",
+  "vehicle free", "ready", "duty chahiye", "duty milegi", "booking lo", "book karo",
+  "उपलब्ध", "खाली", "वापसी", "ਖਾਲੀ", "ਵਾਪਸੀ", "ਉਪਲਬਧ",
+]);
+
+const DEMAND_MARKERS = wordsRegex([
+  "need", "needed", "required", "require", "requirement", "want", "wanted", "looking for",
+  "chahiye", "chaiye", "chahye", "chahie", "chahida", "chahidi", "koi hai", "any car",
+  "any cab", "any taxi", "anyone", "please send", "bhejo",
+  "चाहिए", "चाहिये", "ज़रूरत", "ਚਾਹੀਦੀ", "ਚਾਹੀਦਾ", "ਚਾਹੀਦੇ", "ਲੋੜ",
+]);
+
+/**
+ * Classifies a post as supply (driver/vehicle offering itself), demand (a
+ * ride request) or unknown. Each distinct marker counts once; the side with
+ * more hits wins and a tie with hits on both sides is demand (forwarding a
+ * real request matters more than catching an ad).
+ *
+ * "duty chahiye" is a driver asking for work — it is listed as a supply
+ * marker and its "chahiye" is not counted again as demand.
+ *
+ * @param {string} text
+ * @returns {{ intent: "supply"|"demand"|"unknown", supply: string[], demand: string[] }}
+ */
+export function classifyPostIntent(text) {
+  const normalized = normalizeText(text);
+  const supply = [];
+  const demand = [];
+  if (!normalized) return { intent: "unknown", supply, demand };
+
+  const collect = (regex, into, source) => {
+    const global = new RegExp(regex.source, "gu");
+    for (const m of source.matchAll(global)) {
+      if (!into.includes(m[1])) into.push(m[1]);
+    }
+  };
+
+  collect(SUPPLY_MARKERS, supply, normalized);
+  // Blank out supply phrases so their words ("duty chahiye") don't count twice
+  const rest = supply.reduce((acc, word) => acc.split(word).join(" "), normalized);
+  collect(DEMAND_MARKERS, demand, rest);
+
+  const intent =
+    supply.length > demand.length ? "supply"
+    : demand.length > 0           ? "demand"
+    : "unknown";
+  return { intent, supply, demand };
+}
+
+/**
+ * @typedef {Object} Ride
+ * @property {string}      text            - Original message text
+ * @property {string|null} pickupCity      - Pickup among ALL known cities (analytics)
+ * @property {string|null} dropCity        - Drop among ALL known cities (analytics)
+ * @property {string|null} routePickupCity - Pickup among the bot's configuredCities (routing)
+ * @property {string|null} routeDropCity   - Drop among the bot's configuredCities (routing)
+ * @property {string|null} pickupRegion    - Region of pickupCity ("Tricity", "NCR"), city-aliases.json
+ * @property {string|null} dropRegion      - Region of dropCity
+ * @property {string|null} vehicleClass    - One of VEHICLE_CLASS_NAMES
+ * @property {string|null} timeText        - Requested time as written
+ * @property {number|null} pickupAt        - Requested pickup time (Unix ms, Asia/Kolkata-resolved)
+ * @property {boolean}     scheduled       - Pickup is ≥ scheduledAfterMs away (or on a later day)
+ * @property {number|null} fare            - Stated fare in rupees
+ * @property {string}      intent          - "supply" | "demand" | "unknown" (classifyPostIntent)
+ * @property {string[]}    phones          - Normalized 10-digit numbers
+ * @property {boolean}     hasPhone        - hasPhoneNumber() verdict (the routing gate)
+ * @property {Object[]}    fuzzyMatches    - { token, city, alias, score } per fuzzy city hit
+ * @property {number}      confidence      - 0..1, share of ride fields that resolved
+ */
+
+// How much each resolved field contributes to Ride.confidence (sums to 1).
+const CONFIDENCE_WEIGHTS = {
+  pickupCity:   0.3,
+  dropCity:     0.2,
+  phone:        0.3,
+  vehicleClass: 0.1,
+  timeText:     0.1,
+};
+
+/**
+ * Parses a message into a structured Ride. Pure — no config, no side effects —
+ * so the router can parse ONCE and hand the same object to every gate, the
+ * target builder and the ride log.
+ *
+ * @param {string}   text
+ * @param {string[]} configuredCities - The bot's routed cities (cityTargetGroups keys)
+ * @param {Object}   [options]
+ * @param {Object|false} [options.fuzzy] - Fuzzy city settings, false = exact only
+ * @param {number}  [options.scheduledAfterMs] - Immediate vs scheduled cut-off
+ * @param {number}  [options.now]               - Unix ms "now" (tests)
+ * @returns {Ride}
+ */
+export function parseRide(text, configuredCities = [], options = {}) {
+  const phones = extractPhoneNumbers(text);
+  const now    = options.now ?? Date.now();
+  const time   = parsePickupTime(text, now);
+  const scheduledAfterMs = options.scheduledAfterMs ?? DEFAULT_SCHEDULED_AFTER_MS;
+
+  // Fuzzy hits are only collected for the ROUTED lookups — those are the ones
+  // that change where a ride goes, so those are the ones worth reviewing.
+  const fuzzyMatches = [];
+  const analyticsOpts = { fuzzy: options.fuzzy };
+  const routeOpts     = { fuzzy: options.fuzzy, fuzzyHits: fuzzyMatches };
+
+  const ride = {
+    text:            text || "",
+    pickupCity:      extractPickupCity(text, ALL_CITIES, analyticsOpts),
+    dropCity:        extractDropCity(text, ALL_CITIES, analyticsOpts),
+    routePickupCity: extractPickupCity(text, configuredCities, routeOpts),
+    routeDropCity:   extractDropCity(text, configuredCities, routeOpts),
+    pickupRegion:    null,
+    dropRegion:      null,
+    vehicleClass:    extractVehicleClass(text),
+    timeText:        time.text,
+    pickupAt:        time.at,
+    scheduled:       time.at !== null ? time.at - now >= scheduledAfterMs : time.dayOffset >= 1,
+    fare:            extractFare(text),
+    intent:          classifyPostIntent(text).intent,
+    phones,
+    hasPhone:        hasPhoneNumber(text),
+    fuzzyMatches,
+    confidence:      0,
+  };
+
+  ride.pickupRegion = getRegionForCity(ride.pickupCity);
+  ride.dropRegion   = getRegionForCity(ride.dropCity);
+
+  const score =
+    (ride.pickupCity   ? CONFIDENCE_WEIGHTS.pickupCity   : 0) +
+    (ride.dropCity     ? CONFIDENCE_WEIGHTS.dropCity     : 0) +
+    (phones.length     ? CONFIDENCE_WEIGHTS.phone        : 0) +
+    (ride.vehicleClass ? CONFIDENCE_WEIGHTS.vehicleClass : 0) +
+    (ride.timeText     ? CONFIDENCE_WEIGHTS.timeText     : 0);
+  ride.confidence = Math.round(score * 100) / 100;
+
+  return ride;
+}
+
+/**
+ * Ride-identity dedup keys: one "phone|pickup|drop" key per phone number,
+ * cities resolved among ALL known cities. A dispatcher reposting the same ride
+ * with new wording keeps the same number and route, so the keys match even when
+ * the text fingerprint doesn't. Empty when there is no phone or no pickup city —
+ * too little to call two posts the same ride.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {Object|false} [options.fuzzy] - Fuzzy city settings, false = exact only
+ * @returns {string[]}
+ */
+export function getRideIdentityKeys(text, options = {}) {
+  const phones = extractPhoneNumbers(text);
+  if (phones.length === 0) return [];
+
+  const pickup = extractPickupCity(text, ALL_CITIES, { fuzzy: options.fuzzy });
+  if (!pickup) return [];
+  const drop = extractDropCity(text, ALL_CITIES, { fuzzy: options.fuzzy }) || "-";
+
+  return phones.map((phone) => `${phone}|${pickup}|${drop}`);
+}
+
+// =============================================================================
+// MULTI-RIDE SPLITTING — one dispatcher post, several rides
+// =============================================================================
+// "1) Mohali to Delhi 98xxxxxxxx\n2) Zirakpur to Ambala 97xxxxxxxx" used to go
+// out as one blob to the FIRST pickup's city group. splitRideSegments() cuts
+// such posts into one segment per ride so each can be routed on its own.
+//
+// Boundaries: blank lines, numbered / bulleted list items, and a new route line
+// ("X to Y" + a known city) once the current segment already has a route AND a
+// phone number. A split is only accepted when at least two segments are rides
+// (own phone + route or city); headers/footers are glued to a neighbour.
+
+// "1." "2)" "(3)" "•" "-" "👉" at line start. No ":" — "5:30 pm" is a time.
+const LIST_ITEM_RE = /^\s*(?:\d{1,2}\s*[.)]|\(\d{1,2}\)|[-•*▪➡👉🔹🔸])\s*/u;
+
+function isRideChunk(lines) {
+  const chunk = lines.join("\n");
+  if (extractPhoneNumbers(chunk).length === 0) return false;
+  return ROUTE_PATTERNS.some((pattern) => pattern.test(normalizeText(chunk))) ||
+    extractPickupCity(chunk, ALL_CITIES) !== null;
+}
+
+// "X to Y" / "X से Y" / "X ਤੋਂ Y" — not pickup/drop keywords, which also appear
+// on detail lines ("drop time 5 baje") inside one ride
+const ROUTE_LINE_RE = /\b\w+\s+to\s+\w+|[\p{L}\p{M}]\s+(?:से|ਤੋਂ|ਤੋ)\s+[\p{L}\p{M}]/iu;
+
+function isRouteLine(line) {
+  return ROUTE_LINE_RE.test(normalizeText(line)) && extractPickupCity(line, ALL_CITIES) !== null;
+}
+
+/**
+ * Splits a multi-ride message into one text per ride.
+ *
+ * @param {string} text
+ * @returns {string[]} one text per ride, list markers stripped; [text] unchanged
+ *   when the message holds fewer than two rides
+ */
+export function splitRideSegments(text) {
+  if (!text) return [text];
+
+  // Pass 1: cut at blank lines, list items and repeated route lines
+  const chunks = [];
+  let current = [];
+  const flush = () => {
+    if (current.length) chunks.push(current);
+    current = [];
+  };
+
+  for (const line of text.split("\n")) {
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+    if (current.length && (LIST_ITEM_RE.test(line) || (isRouteLine(line) && isRideChunk(current)))) {
+      flush();
+    }
+    current.push(line);
+  }
+  flush();
+
+  // Pass 2: keep the split only if it found ≥ 2 rides; glue the rest on
+  const isRide = chunks.map(isRideChunk);
+  if (isRide.filter(Boolean).length < 2) return [text];
+
+  const segments = [];
+  let leading = [];
+  chunks.forEach((lines, i) => {
+    // "2) " is list numbering, not part of the ride — and would change its fingerprint
+    if (isRide[i]) segments.push([...leading, lines[0].replace(LIST_ITEM_RE, ""), ...lines.slice(1)]);
+    else if (segments.length) segments[segments.length - 1].push(...lines);
+    else leading.push(...lines); // header → first ride
+    if (isRide[i]) leading = [];
+  });
+
+  return segments.map((lines) => lines.join("\n").trim());
+}
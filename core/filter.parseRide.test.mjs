@@ -0,0 +1,121 @@
+// Self-check for the structured ride parser. Run: node core/filter.parseRide.test.mjs
+import assert from "assert";
+import {
+  parseRide, extractPhoneNumbers, extractPickupCity, extractVehicleClass, parsePickupTime, formatIstTime,
+  classifyPostIntent, splitRideSegments,
+} from "./filter.js";
+
+const ROUTED = ["Delhi", "Mohali", "Ambala"];
+
+// 1. Full ride: every field resolves.
+let ride = parseRide("Need sedan from Mohali to New Delhi airport 9876543210 fare 2500", ROUTED);
+assert.strictEqual(ride.pickupCity, "Mohali");
+assert.strictEqual(ride.dropCity, "Delhi");
+assert.strictEqual(ride.routePickupCity, "Mohali");
+assert.strictEqual(ride.routeDropCity, "Delhi");
+assert.strictEqual(ride.vehicleClass, "sedan");
+assert.strictEqual(ride.fare, 2500);
+assert.deepStrictEqual(ride.phones, ["9876543210"]);
+assert.strictEqual(ride.hasPhone, true);
+
+// 2. Analytics city vs routed city: Chandigarh is known but not routed here.
+ride = parseRide("Innova crysta chd to dli 5 baje +91 98765 43210", ROUTED);
+assert.strictEqual(ride.pickupCity, "Chandigarh");
+assert.strictEqual(ride.routePickupCity, null, "unrouted pickup must not route");
+assert.strictEqual(ride.routeDropCity, "Delhi");
+assert.strictEqual(ride.vehicleClass, "innova", "innova beats generic suv");
+assert.strictEqual(ride.timeText, "5 baje");
+assert.strictEqual(ride.confidence, 1);
+
+// 3. Every phone format normalizes to 10 digits, deduped.
+assert.deepStrictEqual(
+  extractPhoneNumbers("98765-43210, +91 98765 43210, 09812345678 / 919812345678 and 987-654-3299"),
+  ["9876543210", "9812345678", "9876543299"]
+);
+
+// 4. Routing city is exactly what extractPickupCity returns (Bot-1 logic preserved).
+for (const t of ["Ambala to Delhi 9876543210", "pickup mohali drop delhi", "cab needed delhi"]) {
+  assert.strictEqual(parseRide(t, ROUTED).routePickupCity, extractPickupCity(t, ROUTED), t);
+}
+
+// 5. Gurmukhi / Devanagari: aliases + postposition markers (ਤੋਂ / से / तक).
+const NATIVE = ["Delhi", "Mohali", "Ambala", "Chandigarh", "Zirakpur"];
+ride = parseRide("ਮੋਹਾਲੀ ਤੋਂ ਦਿੱਲੀ ਗੱਡੀ ਚਾਹੀਦੀ 9876543210", NATIVE);
+assert.deepStrictEqual([ride.routePickupCity, ride.routeDropCity], ["Mohali", "Delhi"]);
+ride = parseRide("अंबाले से चंडीगढ़ तक सेडान चाहिए", NATIVE);
+assert.deepStrictEqual([ride.routePickupCity, ride.routeDropCity], ["Ambala", "Chandigarh"]);
+// Decomposed nukta (ज + ़) resolves the same as the NFC alias key.
+ride = parseRide("ਜ\u0a3cੀਰਕਪੁਰ ਤੋਂ ਦਿੱਲੀ", NATIVE);
+assert.strictEqual(ride.routePickupCity, "Zirakpur");
+
+// 6. Fuzzy fallback: typos resolve and are reported; short/ride words never do.
+ride = parseRide("Need cab from dehlii to mohalli 9876543210", ROUTED);
+assert.deepStrictEqual([ride.routePickupCity, ride.routeDropCity], ["Delhi", "Mohali"]);
+assert.deepStrictEqual(ride.fuzzyMatches.map((h) => h.token), ["dehlii", "mohalli"]);
+assert.strictEqual(parseRide("ambl to dli", ROUTED, { fuzzy: false }).fuzzyMatches.length, 0);
+assert.strictEqual(parseRide("dehlii", ROUTED, { fuzzy: false }).routePickupCity, null, "fuzzy off");
+assert.strictEqual(parseRide("urgent sedan needed airport", ROUTED).routePickupCity, null);
+assert.strictEqual(parseRide("sohana pickup", ["Gurgaon"]).routePickupCity, null, "known place ≠ typo");
+
+// 7. Vehicle classes: specific beats generic, native script + seat counts work.
+assert.strictEqual(extractVehicleClass("tempo traveller ya sedan"), "tempo");
+assert.strictEqual(extractVehicleClass("7 seater chahiye"), "suv");
+assert.strictEqual(extractVehicleClass("ਇਨੋਵਾ ਚਾਹੀਦੀ"), "innova");
+assert.strictEqual(extractVehicleClass("forced to cancel"), null);
+
+// 8. Noise → empty ride, zero confidence.
+ride = parseRide("good morning everyone", ROUTED);
+assert.strictEqual(ride.confidence, 0);
+assert.deepStrictEqual(ride.phones, []);
+
+// 9. Pickup time resolves in IST against a fixed "now" (2026-10-19 10:00 IST).
+const NOW = Date.UTC(2026, 9, 19, 4, 30);
+const at = (t) => formatIstTime(parsePickupTime(t, NOW).at);
+assert.strictEqual(at("kal subah 5 baje"), "2026-10-20 05:00 IST");
+assert.strictEqual(at("ਕੱਲ ਸਵੇਰੇ 6 ਵਜੇ"), "2026-10-20 06:00 IST");
+assert.strictEqual(at("aaj shaam 7:30"), "2026-10-19 19:30 IST");
+assert.strictEqual(at("5 baje"), "2026-10-19 17:00 IST", "bare hour → next occurrence");
+assert.strictEqual(at("raat 2 baje"), "2026-10-20 02:00 IST", "after midnight");
+assert.strictEqual(at("9am pickup"), "2026-10-20 09:00 IST", "past today → tomorrow");
+assert.strictEqual(parsePickupTime("Rs 1500.00 fix", NOW).at, null);
+assert.strictEqual(parsePickupTime("tonight 10pm", NOW).text, "tonight 10pm", "day + period word listed once");
+assert.strictEqual(at("tonight 10pm"), "2026-10-19 22:00 IST");
+ride = parseRide("Mohali to Delhi kal subah 5 baje 9876543210", ROUTED, { now: NOW });
+assert.strictEqual(ride.timeText, "kal subah 5 baje");
+assert.strictEqual(ride.scheduled, true);
+assert.strictEqual(parseRide("Mohali to Delhi abhi 9876543210", ROUTED, { now: NOW }).scheduled, false);
+assert.strictEqual(parseRide("parso Delhi", ROUTED, { now: NOW }).scheduled, true, "day only");
+assert.strictEqual(parseRide("10:30 Delhi", ROUTED, { now: NOW, scheduledAfterMs: 0 }).scheduled, true);
+
+// 10. Supply vs demand: "vehicle available" posts are told apart from requests.
+assert.strictEqual(parseRide("Innova available Chandigarh to Delhi empty return 9876543210", ROUTED).intent, "supply");
+assert.strictEqual(parseRide("Need cab Mohali to Delhi 9876543210", ROUTED).intent, "demand");
+assert.strictEqual(classifyPostIntent("Mohali to Delhi 9876543210").intent, "unknown");
+assert.strictEqual(classifyPostIntent("Driver hu, duty chahiye").intent, "supply", "driver asking for work");
+assert.strictEqual(classifyPostIntent("ਦਿੱਲੀ ਲਈ ਖਾਲੀ ਗੱਡੀ").intent, "supply");
+assert.strictEqual(classifyPostIntent("return available? any car needed").intent, "demand", "tie → demand");
+
+// 11. Region of the pickup/drop city, from city-aliases.json "regions".
+ride = parseRide("Zirakpur to Gurgaon sedan 9876543210", ROUTED);
+assert.strictEqual(ride.routePickupCity, null, "Zirakpur is not routed here…");
+assert.strictEqual(ride.pickupRegion, "Tricity", "…but its region still resolves");
+assert.strictEqual(ride.dropRegion, "NCR");
+assert.strictEqual(parseRide("Ambala to Patiala 9876543210", ROUTED).pickupRegion, null);
+
+// 12. Multi-ride posts split into one segment per ride; single rides stay whole.
+assert.deepStrictEqual(
+  splitRideSegments("Rides:\n1) Mohali to Delhi 9876500001\n2) Zirakpur to Ambala 9876500002\n3) Delhi to Mohali 9876500003"),
+  ["Rides:\nMohali to Delhi 9876500001", "Zirakpur to Ambala 9876500002", "Delhi to Mohali 9876500003"],
+  "header glued to the first ride, list markers stripped"
+);
+assert.strictEqual(splitRideSegments("Mohali to Delhi\nsedan\n9876500001\n\nAmbala to Delhi innova\n9876500002").length, 2, "blank line");
+assert.deepStrictEqual(
+  splitRideSegments("Mohali to Delhi 9876500001\nZirakpur to Ambala 9876500002"),
+  ["Mohali to Delhi 9876500001", "Zirakpur to Ambala 9876500002"],
+  "repeated route + phone lines"
+);
+assert.strictEqual(splitRideSegments("Mohali to Delhi 9876500001\nreturn Delhi to Mohali same day").length, 1, "return leg, one phone");
+assert.strictEqual(splitRideSegments("Need cab Mohali to Delhi\n\nCall 9876500001").length, 1, "phone footer");
+assert.strictEqual(splitRideSegments("1) Mohali to Delhi 9876500001")[0], "1) Mohali to Delhi 9876500001", "single ride untouched");
+
+console.log("✅ parseRide: all checks passed");
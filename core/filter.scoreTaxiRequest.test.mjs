@@ -0,0 +1,67 @@
+// Self-check for the explainable taxi classifier. Run: node core/filter.scoreTaxiRequest.test.mjs
+import assert from "assert";
+import { scoreTaxiRequest, isTaxiRequest, formatTaxiReasons } from "./filter.js";
+
+const KEYWORDS = ["cab", "taxi", "drop", "pickup"];
+const IGNORE   = ["good morning", "job", "🙏"];
+const codes = (r) => r.reasons.map((x) => x.code);
+
+// 1. Keyword + phone passes and says why.
+let r = scoreTaxiRequest("Need cab Mohali 9876543210", KEYWORDS, IGNORE);
+assert.strictEqual(r.isTaxi, true);
+assert.strictEqual(r.score, 1.5);
+assert.deepStrictEqual(codes(r), ["keyword", "phone"]);
+assert.strictEqual(r.rejectReason, null);
+
+// 2. Route pattern alone still passes (old boolean behaviour).
+r = scoreTaxiRequest("Mohali to Delhi", KEYWORDS, IGNORE);
+assert.strictEqual(r.isTaxi, true);
+assert.deepStrictEqual(codes(r), ["routePattern"]);
+
+// 3. Hard rejects name the rule that fired.
+r = scoreTaxiRequest("good morning, cab ready 9876543210", KEYWORDS, IGNORE);
+assert.strictEqual(r.rejectReason, "ignorePhrase");
+assert.strictEqual(r.reasons[0].detail, '"good morning"');
+r = scoreTaxiRequest("cab 9000000001", KEYWORDS, IGNORE, ["9000000001"]);
+assert.strictEqual(r.rejectReason, "blockedNumber");
+
+// 4. Default weights keep the old decision: spam signals are reported, not penalized.
+r = scoreTaxiRequest("Need cab Mohali 9876543210 https://maps.app.goo.gl/x", KEYWORDS, IGNORE);
+assert.strictEqual(r.isTaxi, true);
+assert.deepStrictEqual(codes(r), ["keyword", "phone", "link"]);
+assert.strictEqual(r.score, 1.5);
+r = scoreTaxiRequest("taxi 9876543210 9876543211 9876543212 9876543213", KEYWORDS, IGNORE);
+assert.strictEqual(r.isTaxi, true);
+assert.deepStrictEqual(codes(r), ["keyword", "manyPhones"]);
+r = scoreTaxiRequest("cab 🚕🚕🚕🚕🚕", KEYWORDS, IGNORE);
+assert.strictEqual(r.isTaxi, true);
+assert.ok(codes(r).includes("emojiDensity"));
+
+// 4b. Opt-in penalties pull a keyword message under the threshold.
+const STRICT = { weights: { manyPhones: -0.5, link: -1, emojiDensity: -0.5 } };
+r = scoreTaxiRequest("Join taxi group https://chat.whatsapp.com/abc", KEYWORDS, IGNORE, [], STRICT);
+assert.strictEqual(r.isTaxi, false);
+assert.strictEqual(r.rejectReason, "link");
+r = scoreTaxiRequest("taxi 9876543210 9876543211 9876543212 9876543213", KEYWORDS, IGNORE, [], STRICT);
+assert.strictEqual(r.isTaxi, false);
+assert.strictEqual(r.rejectReason, "manyPhones");
+r = scoreTaxiRequest("cab 🚕🚕🚕🚕🚕", KEYWORDS, IGNORE, [], STRICT);
+assert.strictEqual(r.rejectReason, "emojiDensity");
+
+// 5. Nothing taxi-like → noSignal, even with a phone number.
+r = scoreTaxiRequest("call me 9876543210", KEYWORDS, IGNORE);
+assert.strictEqual(r.rejectReason, "noSignal");
+
+// 6. Thresholds and weights are configurable.
+assert.strictEqual(isTaxiRequest("Need cab", KEYWORDS, IGNORE, [], { threshold: 1.5 }), false);
+assert.strictEqual(
+  isTaxiRequest("cab https://x.in", KEYWORDS, IGNORE, [], { weights: { link: -1 } }), false
+);
+
+// 7. Log formatting.
+assert.strictEqual(
+  formatTaxiReasons(scoreTaxiRequest("cab 9876543210", KEYWORDS, IGNORE).reasons),
+  "keyword(+1: cab), phone(+0.5: 1 number)"
+);
+
+console.log("✅ scoreTaxiRequest: all checks passed");
@@ -14,12 +14,14 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { watchFile } from "fs";
+import { BLOCK_LIST_KEYS, compileBlockList } from "./blockRules.js";
 
 // =============================================================================
 // VOLATILE BLOCK / IGNORE DATA — loaded from gitignored core/blocked-data.json
 // =============================================================================
 // This file is NOT committed (it changes constantly and is identical across all
-// bots/VMs). It MUST exist and contain three arrays. We FAIL CLOSED: if the file
+// bots/VMs). It MUST exist and contain three arrays. Entries are plain strings
+// or rich { pattern, type, expiresAt, reason, addedBy } rules (blockRules.js). We FAIL CLOSED: if the file
 // is missing or malformed, we throw rather than fall back to empty lists —
 // empty lists would silently let the bot forward spam to paid groups.
 // =============================================================================
@@ -43,7 +45,7 @@ function loadBlockedData() {
     throw new Error(`[globalConfig] FATAL: blocked-data.json is not valid JSON: ${err.message}`);
   }
 
-  for (const key of ["blockedPhoneNumbers", "blockedSenders", "ignoreIfContains"]) {
+  for (const key of BLOCK_LIST_KEYS) {
     if (!Array.isArray(raw[key])) {
       throw new Error(
         `[globalConfig] FATAL: blocked-data.json key "${key}" must be an array (got ${typeof raw[key]}).\n` +
@@ -52,7 +54,32 @@ function loadBlockedData() {
     }
   }
 
-  return raw;
+  try {
+    return compileBlockedData(raw);
+  } catch (err) {
+    throw new Error(
+      `[globalConfig] FATAL: blocked-data.json has an invalid entry — ${err.message}\n` +
+      `   Refusing to start — fail closed rather than forward spam.`
+    );
+  }
+}
+
+/**
+ * Compiles all three lists (blockRules.js): expired entries dropped, regex
+ * rules turned into RegExp, phrases NFC + lowercased. Throws on a bad entry
+ * BEFORE anything is applied.
+ */
+function compileBlockedData(raw, now = Date.now()) {
+  const compiled = { raw, expired: 0, nextExpiry: null };
+  for (const key of BLOCK_LIST_KEYS) {
+    const { values, expired, nextExpiry } = compileBlockList(key, raw[key], now);
+    compiled[key] = values;
+    compiled.expired += expired;
+    if (nextExpiry !== null && (compiled.nextExpiry === null || nextExpiry < compiled.nextExpiry)) {
+      compiled.nextExpiry = nextExpiry;
+    }
+  }
+  return compiled;
 }
 
 const BLOCKED_DATA = loadBlockedData();
@@ -101,7 +128,7 @@ export const GLOBAL_CONFIG = {
   // NFC-normalized + lowercased so Hindi/Punjabi precomposed and decomposed
   // (nukta) forms both match against incoming text.
   // ==========================================================================
-  ignoreIfContains: BLOCKED_DATA.ignoreIfContains.map((k) => k.normalize("NFC").toLowerCase()),
+  ignoreIfContains: BLOCKED_DATA.ignoreIfContains,
 
   // ==========================================================================
   // GLOBALLY BLOCKED PHONE NUMBERS — loaded from gitignored core/blocked-data.json
@@ -120,6 +147,51 @@ export const GLOBAL_CONFIG = {
   // ==========================================================================
   blockedSenders: BLOCKED_DATA.blockedSenders,
 
+  // ==========================================================================
+  // CITY MATCHING — fuzzy fallback for typos missing from the alias map
+  // Only used when the exact alias lookup misses. Every fuzzy hit is logged by
+  // the router ("🔎 FUZZY CITY") — add real misspellings to the alias map.
+  // ==========================================================================
+  cityMatching: {
+    fuzzy: {
+      enabled: true,
+      minTokenLength: 5,   // shorter tokens ("amb", "kal") are too ambiguous
+      minScore: 0.8,       // 1 - editDistance/length; 0.8 ≈ one typo per 5 chars
+    },
+  },
+
+  // ==========================================================================
+  // TAXI SCORING — explainable keyword/spam classifier (scoreTaxiRequest)
+  // Blocked numbers + ignore phrases are hard rejects. Otherwise each signal
+  // adds its weight and the message passes at score ≥ threshold (and needs at
+  // least a keyword or route pattern). Rejections are counted per reason in
+  // /stats → stats.notTaxiReasons.
+  // The spam penalties ship at 0, which keeps the old keyword-or-route
+  // decision; make them negative (e.g. link: -1) to start rejecting on them.
+  // ==========================================================================
+  taxiScoring: {
+    threshold: 1,
+    weights: {
+      keyword:      1,     // any requestKeywords hit
+      routePattern: 1,     // "X to Y", "from X", "ਤੋਂ", "से" …
+      phone:        0.5,   // 1..maxPhones contact numbers
+      manyPhones:   0,     // more than maxPhones numbers (contact lists, ads)
+      link:         0,     // http(s), www., wa.me, chat.whatsapp.com invites
+      emojiDensity: 0,     // emoji walls
+    },
+    maxPhones:       3,
+    maxEmojiDensity: 0.3,  // emoji per non-space character
+  },
+
+  // ==========================================================================
+  // SCHEDULING — "kal subah 5 baje" vs "abhi chahiye"
+  // A ride whose parsed pickup time is at least this far ahead (or on a later
+  // day) is tagged scheduled and goes to the bot's scheduledRides groups.
+  // ==========================================================================
+  scheduling: {
+    scheduledAfterMs: 2 * 60 * 60 * 1000, // 2 hours
+  },
+
   // ==========================================================================
   // 🔒 RATE LIMITS
   // ==========================================================================
@@ -175,6 +247,28 @@ export const GLOBAL_CONFIG = {
     fingerprintSaveCap: 1000,
     saveDebounceMs: 30000,       // C2: 30s debounced writes
     maxReplayIds: 200,           // B2: Rolling replay ID set
+    // Near-duplicate layer (nearDuplicate.js): reposts with an extra word,
+    // reordered lines or different emoji. Token-set Jaccard similarity against
+    // every fingerprint seen within fingerprintTTL.
+    nearDuplicate: {
+      enabled: true,
+      threshold: 0.8,            // 0..1 Jaccard; lower = more aggressive
+      minTokens: 4,              // shorter messages only use the exact fingerprint
+    },
+    // Ride-identity layer: same phone + pickup city + drop city = same ride,
+    // however it's worded. Counted in stats.duplicateRideSkipped.
+    rideIdentity: {
+      enabled: true,
+      windowMs: 1_800_000,       // 30 min
+    },
+  },
+
+  // ==========================================================================
+  // 📬 Outbound send queue (sendQueue.js, <botDir>/send-queue.jsonl)
+  // ==========================================================================
+  sendQueue: {
+    maxAgeMs: 600_000,           // 10 min: older jobs are dropped, not sent late
+    pausePollMs: 1000,           // re-check while the circuit breaker is open
   },
 
   // ==========================================================================
@@ -204,30 +298,79 @@ export const GLOBAL_CONFIG = {
 //  • Fail-SAFE (not fail-closed): unlike initial boot, a live reload of a
 //    missing/malformed file KEEPS the current lists and logs a warning instead of
 //    crashing a connected bot over a bad hand-edit.
+//  • Expiring entries (expiresAt) drop out on their own: a timer recompiles the
+//    last-read data when the soonest one passes — no file edit, no restart.
 
 /**
  * Replace the contents of GLOBAL_CONFIG's block/ignore arrays in place.
  * Mutates length + push so external references stay valid (no reassignment).
+ * Compiles first, so a malformed entry throws with the current lists untouched.
  */
 function applyBlockedData(data) {
-  for (const key of ["blockedPhoneNumbers", "blockedSenders", "ignoreIfContains"]) {
+  for (const key of BLOCK_LIST_KEYS) {
     if (!Array.isArray(data[key])) {
       throw new Error(`malformed or missing array: "${key}"`);
     }
   }
+  const compiled = compileBlockedData(data);
+
+  for (const key of BLOCK_LIST_KEYS) {
+    GLOBAL_CONFIG[key].length = 0;
+    GLOBAL_CONFIG[key].push(...compiled[key]);
+  }
+  scheduleExpiryRecompile(compiled);
+  return compiled;
+}
 
-  GLOBAL_CONFIG.blockedPhoneNumbers.length = 0;
-  GLOBAL_CONFIG.blockedPhoneNumbers.push(...data.blockedPhoneNumbers);
+function notifyReloadListeners() {
+  for (const listener of _reloadListeners) {
+    try {
+      listener();
+    } catch (err) {
+      console.warn(`[globalConfig] ⚠️  reload listener failed: ${err.message}`);
+    }
+  }
+}
 
-  GLOBAL_CONFIG.blockedSenders.length = 0;
-  GLOBAL_CONFIG.blockedSenders.push(...data.blockedSenders);
+// One timer for the soonest expiresAt. Capped at 1h so a far-future expiry
+// never overflows setTimeout; unref'd so it never keeps a process alive.
+let _expiryTimer = null;
+function scheduleExpiryRecompile(compiled) {
+  if (_expiryTimer) clearTimeout(_expiryTimer);
+  _expiryTimer = null;
+  if (compiled.nextExpiry === null) return;
 
-  // ignoreIfContains is stored mixed-case/Unicode in the file but the matcher
-  // expects NFC-normalized lowercase — re-apply the same transform as boot load.
-  GLOBAL_CONFIG.ignoreIfContains.length = 0;
-  GLOBAL_CONFIG.ignoreIfContains.push(
-    ...data.ignoreIfContains.map((k) => k.normalize("NFC").toLowerCase())
-  );
+  const delay = Math.min(Math.max(compiled.nextExpiry - Date.now(), 0) + 50, 3_600_000);
+  _expiryTimer = setTimeout(() => {
+    try {
+      const fresh = applyBlockedData(compiled.raw);
+      if (fresh.expired > compiled.expired) {
+        console.log(
+          `[globalConfig] ⌛ ${fresh.expired - compiled.expired} block rule(s) expired — ` +
+            `${GLOBAL_CONFIG.blockedPhoneNumbers.length} numbers, ` +
+            `${GLOBAL_CONFIG.blockedSenders.length} senders, ` +
+            `${GLOBAL_CONFIG.ignoreIfContains.length} ignore phrases`
+        );
+        notifyReloadListeners();
+      }
+    } catch (err) {
+      console.warn(`[globalConfig] ⚠️  block rule expiry recompile failed: ${err.message}`);
+    }
+  }, delay);
+  _expiryTimer.unref?.();
+}
+scheduleExpiryRecompile(BLOCKED_DATA);
+
+// Per-bot derived lists (configLoader keyword/ignore overlays) rebuild themselves
+// after every successful reload — they can't share the global array reference.
+const _reloadListeners = [];
+
+/**
+ * Registers a callback run after each successful blocked-data.json hot-reload.
+ * A throwing listener is logged and never blocks the others.
+ */
+export function onBlockedDataReload(listener) {
+  _reloadListeners.push(listener);
 }
 
 // watchFile (stat/mtime polling) is used instead of fs.watch because it is
@@ -251,6 +394,7 @@ try {
             `${GLOBAL_CONFIG.blockedSenders.length} senders, ` +
             `${GLOBAL_CONFIG.ignoreIfContains.length} ignore phrases`
         );
+        notifyReloadListeners();
       } catch (err) {
         console.warn(
           `[globalConfig] ⚠️  blocked-data.json reload FAILED — keeping previous lists: ${err.message}`
@@ -16,6 +16,7 @@
 //   ✅ B2: Replay ID dedup (rolling 200)
 //   ✅ A4: Settling delay (5-15s after connect)
 //   ✅ C1: Batch fingerprint cleanup on overflow (trim to 80%)
+//   ✅ Sliding-window dedup: content fingerprint + first-seen timestamp (no 5-min buckets)
 //   ✅ C2: Debounced disk write (30s)
 //   ✅ Stale pending fingerprint cleanup (60s timeout → purge, runs every 30s)
 //   ✅ QR code HTTP endpoint — dynamic import (won't crash if qrcode missing)
@@ -24,10 +25,19 @@
 //   ✅ PM2 graceful shutdown (SIGINT / SIGTERM / SIGHUP)
 //   ✅ 5-minute message age gate (logs rejection with age in seconds)
 //   ✅ Stable per-bot fingerprint filename (botId + phone, auto-migrates old)
+//   ✅ Near-duplicate dedup (token-set Jaccard, nearDuplicate.js) next to the exact FP
+//   ✅ Ride-identity dedup: (phone, pickup, drop) held for rideIdentity.windowMs
 //
 // ROUTING (Bot-1):
 //   ✅ Path A: source group → paid[] + city + free
 //   ✅ Path B: freeCommonGroup → paid[] + city (no free echo)
+//   ✅ Declarative routing rules (bots/<bot>/rules.json); Path A/B = default rules
+//   ✅ Per-target accept filters (config.targetSettings) — skips logged per group
+//   ✅ Per-target hourly/daily quotas — usage in /stats (quotas) and /groups
+//   ✅ Per-target text transforms: mask / replace / strip phones (transformProfiles)
+//   ✅ Per-target message templates (rideTemplates.js), raw text on a weak parse
+//   ✅ Multi-ride posts (Path A): one route + fingerprint per ride segment
+//   ✅ Disk-backed send queue: pending sends resume after reconnect/restart
 //   ✅ /groups shows source / paid / city / free_common / other
 // =============================================================================
 
@@ -44,10 +54,21 @@ import pino     from "pino";
 import fs       from "fs";
 import path     from "path";
 
-import { getMessageFingerprint } from "./filter.js";
-import { processMessage, resetCircuitBreaker } from "./router.js";
+import { getMessageFingerprint, getRideIdentityKeys, splitRideSegments } from "./filter.js";
+import { createNearDuplicateIndex, tokenizeForSimilarity } from "./nearDuplicate.js";
+import {
+  processMessage,
+  resetCircuitBreaker,
+  formatAccept,
+  getTargetQuotaUsage,
+  resumeSendQueue,
+  suspendSendQueue,
+  getSendQueueStatus,
+} from "./router.js";
+import { describeRule } from "./routingRules.js";
 import { GLOBAL_CONFIG }         from "./globalConfig.js";
 import { initRuntimeState }      from "./runtimeState.js";
+import { REGIONS }               from "./cityAliases.js";
 
 // =============================================================================
 // CONSTANTS
@@ -79,17 +100,27 @@ export async function startBot(config, log, authDir) {
   let qrTimestamp = null;
 
   // Deduplication
-  const fingerprintSet      = new Set();
+  const fingerprintMap      = new Map();  // fingerprint → first-seen ms (sliding TTL)
   const pendingFingerprints = new Map();  // optimistic lock
+  const nearDuplicateIndex  = createNearDuplicateIndex({
+    threshold:  GLOBAL_CONFIG.deduplication.nearDuplicate.threshold,
+    minTokens:  GLOBAL_CONFIG.deduplication.nearDuplicate.minTokens,
+    ttlMs:      GLOBAL_CONFIG.deduplication.fingerprintTTL,
+    maxEntries: GLOBAL_CONFIG.deduplication.maxFingerprintCache,
+  });
+  const rideIdentityMap     = new Map();  // "phone|pickup|drop" → first-seen ms
   const replayIdSet         = new Set();  // B2
 
   // Stats
   const stats = {
     totalProcessed:             0,
     duplicatesSkipped:          0,
+    nearDuplicatesSkipped:      0,
+    duplicateRideSkipped:       0,
     replayIdsSkipped:           0,
     rejectedNoPhone:            0,
     rejectedNotTaxi:            0,
+    notTaxiReasons:             {},  // rejectReason → count (scoreTaxiRequest)
     rejectedTooShort:           0,
     rejectedEmptyBody:          0,
     rejectedFromMe:             0,
@@ -102,12 +133,27 @@ export async function startBot(config, log, authDir) {
     rejectedRateLimit:          0,
     rejectedTooOld:             0,
     rejectedNoCity:             0,
+    rejectedSupplyPost:         0,
+    supplyPostsRouted:          0,
+    rejectedNoRule:             0,
+    routedByRule:               {},  // routing rule name → rides routed
+    skippedByTargetFilter:      {},  // group ID → rides its accept filter turned down
+    skippedByQuota:             {},  // group ID → sends skipped, per-target quota reached
     sendsByGroup:               {},
     sendSuccesses:              0,
     sendFailures:               0,
+    queueResumed:               0,   // send jobs picked up from before a restart
+    queueExpired:               0,   // send jobs dropped — older than sendQueue.maxAgeMs
+    ridesEmbargoed:             0,   // rides routed with every target embargoed (nothing sent yet)
+    templatedSends:             0,   // sends rendered with a targetSettings template
+    templateFallbacks:          0,   // templated targets sent the raw text (weak parse)
+    skippedByPhoneLeak:         {},  // group ID → sends skipped, a number survived its phone transform
     reconnectCount:             0,
     pathARouted:                0,
     pathBRouted:                0,
+    multiRideMessages:          0,
+    segmentsRouted:             0,
+    duplicateSegmentsSkipped:   0,
     cryptoErrors:               0,
     racePrevented:              0,
   };
@@ -150,7 +196,47 @@ export async function startBot(config, log, authDir) {
   const FINGERPRINT_FILE = NEW_FP_FILE;
 
   // ===========================================================================
-  // STALE PENDING FINGERPRINT CLEANUP
+  // SLIDING-WINDOW FINGERPRINTS
+  // ===========================================================================
+  // A fingerprint blocks reposts for fingerprintTTL after the message was FIRST
+  // seen — no fixed buckets, so 10:04:59 and 10:05:01 are the same window.
+  // Duplicates don't refresh the timestamp: a ride reposted all day is forwarded
+  // again once per TTL, never blocked forever.
+
+  function isFingerprintFresh(fp, now = Date.now()) {
+    const firstSeen = fingerprintMap.get(fp);
+    if (firstSeen === undefined) return false;
+    if (now - firstSeen < GLOBAL_CONFIG.deduplication.fingerprintTTL) return true;
+    fingerprintMap.delete(fp);
+    return false;
+  }
+
+  // Ride-identity keys ("phone|pickup|drop"), held for rideIdentity.windowMs
+  function getRideKeys(text) {
+    return GLOBAL_CONFIG.deduplication.rideIdentity.enabled
+      ? getRideIdentityKeys(text, { fuzzy: config.cityMatching?.fuzzy })
+      : [];
+  }
+
+  function findFreshRideKey(keys, now = Date.now()) {
+    return keys.find(
+      (key) => now - (rideIdentityMap.get(key) ?? -Infinity) < GLOBAL_CONFIG.deduplication.rideIdentity.windowMs
+    );
+  }
+
+  function pruneExpiredFingerprints(now = Date.now()) {
+    let pruned = 0;
+    for (const [fp, firstSeen] of fingerprintMap) {
+      if (now - firstSeen < GLOBAL_CONFIG.deduplication.fingerprintTTL) break; // Map order = oldest first
+      fingerprintMap.delete(fp);
+      pruned++;
+    }
+    if (pruned > 0) markDirty();
+    return pruned;
+  }
+
+  // ===========================================================================
+  // STALE PENDING FINGERPRINT CLEANUP (+ expired fingerprint prune)
   // ===========================================================================
 
   setInterval(() => {
@@ -162,6 +248,11 @@ export async function startBot(config, log, authDir) {
         log.warn(`🧹 Removed stale pending fingerprint: ${fp}`);
       }
     }
+    pruneExpiredFingerprints(now);
+    for (const [key, firstSeen] of rideIdentityMap) {
+      if (now - firstSeen < GLOBAL_CONFIG.deduplication.rideIdentity.windowMs) break;
+      rideIdentityMap.delete(key);
+    }
   }, 30_000);
 
   // ===========================================================================
@@ -174,9 +265,10 @@ export async function startBot(config, log, authDir) {
         const data   = JSON.parse(fs.readFileSync(FINGERPRINT_FILE, "utf8"));
         const cutoff = Date.now() - GLOBAL_CONFIG.deduplication.fingerprintTTL;
         let loaded   = 0;
-        for (const item of data) {
+        // Oldest first so Map order stays first-seen order (prune + overflow trim rely on it)
+        for (const item of [...data].sort((a, b) => a.timestamp - b.timestamp)) {
           if (item.timestamp > cutoff) {
-            fingerprintSet.add(item.fingerprint);
+            fingerprintMap.set(item.fingerprint, item.timestamp);
             loaded++;
           }
         }
@@ -192,9 +284,11 @@ export async function startBot(config, log, authDir) {
 
   function saveFingerprints() {
     try {
-      const data = Array.from(fingerprintSet).map((fp) => ({
+      // Each entry keeps its ORIGINAL first-seen time — re-stamping with
+      // Date.now() would extend every TTL on every save.
+      const data = Array.from(fingerprintMap).map(([fp, firstSeen]) => ({
         fingerprint: fp,
-        timestamp:   Date.now(),
+        timestamp:   firstSeen,
       }));
       fs.writeFileSync(
         FINGERPRINT_FILE,
@@ -307,7 +401,9 @@ export async function startBot(config, log, authDir) {
     // ── Blocked sender check (before any text processing) ──
     if (participantPhone && config.blockedSenders && config.blockedSenders.length > 0) {
       const normalizedSender = normalizePhone(participantPhone);
-      if (config.blockedSenders.some(blocked => normalizePhone(blocked) === normalizedSender)) {
+      const isBlocked = (blocked) =>
+        blocked instanceof RegExp ? blocked.test(normalizedSender) : normalizePhone(blocked) === normalizedSender;
+      if (config.blockedSenders.some(isBlocked)) {
         stats.rejectedBlockedSender = (stats.rejectedBlockedSender || 0) + 1;
         log.warn(`BLOCKED SENDER: ${participantPhone}`);
         return;
@@ -329,11 +425,10 @@ export async function startBot(config, log, authDir) {
       return;
     }
 
-    // ── Fingerprint dedup ──
-    const timeBucket  = Math.floor(messageTimestampMs / (5 * 60 * 1000));
-    const fingerprint = getMessageFingerprint(text, null, timeBucket);
+    // ── Fingerprint dedup (content key + first-seen sliding TTL) ──
+    const fingerprint = getMessageFingerprint(text);
 
-    if (fingerprintSet.has(fingerprint)) {
+    if (isFingerprintFresh(fingerprint)) {
       stats.duplicatesSkipped++;
       log.info(`🔁 Duplicate (saved) — skipped: ${fingerprint}`);
       return;
@@ -346,8 +441,45 @@ export async function startBot(config, log, authDir) {
       return;
     }
 
+    // ── Near-duplicate dedup (same ride, slightly different text) ──
+    // Checked against routed AND in-flight messages: entries are added at lock
+    // time and removed again if the message is rejected.
+    const similarity = GLOBAL_CONFIG.deduplication.nearDuplicate.enabled
+      ? tokenizeForSimilarity(text)
+      : null;
+    if (similarity) {
+      const nearMatch = nearDuplicateIndex.findMatch(similarity);
+      if (nearMatch) {
+        stats.duplicatesSkipped++;
+        stats.nearDuplicatesSkipped++;
+        log.info(`🔁 Near-duplicate (${nearMatch.similarity} ≈ ${nearMatch.fingerprint}) — skipped: ${fingerprint}`);
+        return;
+      }
+    }
+
+    // ── Ride-identity dedup (same phone + pickup + drop, reworded) ──
+    // Keys are held from lock time like the near-duplicate entries, so the same
+    // ride posted to five source groups at once only goes out once.
+    // Multi-ride posts are checked per segment by the router instead — keys of
+    // the whole post would pair every phone with the FIRST ride's cities.
+    const isMultiRide = isPathA && splitRideSegments(text).length > 1;
+    const rideKeys = isMultiRide ? [] : getRideKeys(text);
+    const now = Date.now();
+    const seenRideKey = findFreshRideKey(rideKeys, now);
+    if (seenRideKey) {
+      stats.duplicatesSkipped++;
+      stats.duplicateRideSkipped++;
+      log.info(`🔁 Duplicate ride (${seenRideKey}) — skipped: ${fingerprint}`);
+      return;
+    }
+
     // Optimistic lock
-    pendingFingerprints.set(fingerprint, Date.now());
+    pendingFingerprints.set(fingerprint, now);
+    if (similarity) nearDuplicateIndex.add(fingerprint, similarity);
+    for (const key of rideKeys) {
+      rideIdentityMap.delete(key); // re-insert so Map order stays oldest-first
+      rideIdentityMap.set(key, now);
+    }
 
     // ── A4: Settling delay (first message after connect) ──
     if (needsSettlingDelay) {
@@ -374,7 +506,12 @@ export async function startBot(config, log, authDir) {
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     let routingResult;
     try {
-      routingResult = await processMessage(sock, text, sourceGroup, isPathA, config, stats, log);
+      routingResult = await processMessage(sock, text, sourceGroup, isPathA, config, stats, log, {
+        // Multi-ride posts: a ride already forwarded on its own (or inside an
+        // earlier multi-ride post) is skipped, the rest still go out
+        isDuplicateSegment: (fp, segmentText) =>
+          isFingerprintFresh(fp) || pendingFingerprints.has(fp) || !!findFreshRideKey(getRideKeys(segmentText)),
+      });
     } catch (err) {
       log.error(`❌ Routing error: ${err.message}`);
       routingResult = { wasRouted: false, path: "none" };
@@ -382,8 +519,9 @@ export async function startBot(config, log, authDir) {
 
     // ── Commit or discard fingerprint ──
     if (routingResult?.wasRouted) {
+      const firstSeen = pendingFingerprints.get(fingerprint) ?? Date.now();
       pendingFingerprints.delete(fingerprint);
-      fingerprintSet.add(fingerprint);
+      fingerprintMap.set(fingerprint, firstSeen);
       markDirty();
 
       if (routingResult.path === "A") stats.pathARouted++;
@@ -391,22 +529,35 @@ export async function startBot(config, log, authDir) {
 
       log.info(`✅ Fingerprint saved permanently: ${fingerprint}`);
 
+      // Multi-ride: each routed segment gets its own fingerprint + ride keys,
+      // so a later single-ride repost of one of them is caught as a duplicate
+      for (const segment of routingResult.segments || []) {
+        if (!segment.wasRouted) continue;
+        fingerprintMap.set(segment.fingerprint, firstSeen);
+        for (const key of getRideKeys(segment.ride.text)) {
+          rideIdentityMap.delete(key);
+          rideIdentityMap.set(key, firstSeen);
+        }
+      }
+
       // C1: Cleanup on overflow (trim to 80%)
-      if (fingerprintSet.size > GLOBAL_CONFIG.deduplication.maxFingerprintCache) {
+      if (fingerprintMap.size > GLOBAL_CONFIG.deduplication.maxFingerprintCache) {
         const targetSize = Math.floor(
           GLOBAL_CONFIG.deduplication.maxFingerprintCache *
           GLOBAL_CONFIG.deduplication.cleanupTargetRatio
         );
-        const toDelete = fingerprintSet.size - targetSize;
-        const iterator = fingerprintSet.values();
+        const toDelete = fingerprintMap.size - targetSize;
+        const iterator = fingerprintMap.keys();
         for (let i = 0; i < toDelete; i++) {
           const val = iterator.next().value;
-          if (val) fingerprintSet.delete(val);
+          if (val) fingerprintMap.delete(val);
         }
-        log.info(`🧹 FP cleanup: deleted ${toDelete}, remaining ${fingerprintSet.size}`);
+        log.info(`🧹 FP cleanup: deleted ${toDelete}, remaining ${fingerprintMap.size}`);
       }
     } else {
       pendingFingerprints.delete(fingerprint);
+      nearDuplicateIndex.delete(fingerprint);
+      for (const key of rideKeys) rideIdentityMap.delete(key);
       log.info(`🔓 Fingerprint unlocked (rejected): ${fingerprint}`);
     }
   }
@@ -559,6 +710,7 @@ export async function startBot(config, log, authDir) {
           lastReconnectTime  = Date.now();
           needsSettlingDelay = true;
           resetCircuitBreaker(log);
+          resumeSendQueue(sock, config, stats, log);
 
           log.info("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
           log.info("✅ WhatsApp connected");
@@ -592,6 +744,7 @@ export async function startBot(config, log, authDir) {
           log.warn(`   Error:  ${errorMsg || "none"}`);
           log.warn("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
 
+          suspendSendQueue(log);
           destroySocket("connection closed");
 
           // Drop any QR from the dead socket — a fresh one arrives after reconnect.
@@ -705,9 +858,13 @@ export async function startBot(config, log, authDir) {
         operational: botFullyOperational,
         qrAvailable: !!latestQR,
         stats,
+        quotas: getTargetQuotaUsage(config),  // group ID → { hourly, daily: { used, limit } }
+        sendQueue: getSendQueueStatus(),      // { pending, oldestAgeSec, suspended, maxAgeSec, byGroup }
         cache: {
-          fingerprintSet:      fingerprintSet.size,
+          fingerprintSet:      fingerprintMap.size,  // key kept for the control panel
           pendingFingerprints: pendingFingerprints.size,
+          nearDuplicateIndex:  nearDuplicateIndex.size,
+          rideIdentityKeys:    rideIdentityMap.size,
           replayIdSet:         replayIdSet.size,
           dirty:               fingerprintDirty,
           fingerprintFile:     NEW_FP_FILENAME,
@@ -724,6 +881,41 @@ export async function startBot(config, log, authDir) {
           cityGroups:       config.configuredCities.length,
           freeCommonGroup:  config.freeCommonGroupId,
           configuredCities: config.configuredCities,
+          routeToDropCity:  config.routeToDropCity,
+          vehicleGroups:    Object.keys(config.vehicleTargetGroups || {}),
+          regionGroups:     Object.keys(config.regionTargetGroups || {}),
+          scheduledRides:   config.scheduledRides,
+          supplyPosts:      config.supplyPosts,
+          routingRules:     (config.routingRules || []).map(describeRule),
+          targetFilters:    Object.fromEntries(
+            Object.entries(config.targetSettings || {})
+              .filter(([, settings]) => settings.accept)
+              .map(([groupId, { accept }]) => [groupId, formatAccept(accept)])
+          ),
+          transformProfiles: config.transformProfiles,
+          messageTemplates:  config.messageTemplates,
+          targetTemplates:   Object.fromEntries(
+            Object.entries(config.targetSettings || {})
+              .filter(([, settings]) => settings.template)
+              .map(([groupId, { template }]) => [groupId, template.name])
+          ),
+          targetTransforms:  Object.fromEntries(
+            Object.entries(config.targetSettings || {})
+              .filter(([, settings]) => settings.transform)
+              .map(([groupId, { transform }]) => [groupId, transform.name])
+          ),
+          taxiScoring:      config.taxiScoring,
+        },
+        // Effective lists after this bot's overlays (global ± config.json)
+        lists: {
+          requestKeywords:  config.requestKeywords,
+          ignoreIfContains: config.ignoreIfContains,
+          overlays: {
+            extraKeywords:  config.extraKeywords,
+            removeKeywords: config.removeKeywords,
+            extraIgnore:    config.extraIgnore,
+            allowPhrases:   config.allowPhrases,
+          },
         },
         enhancements: {
           maxMessageAge:       `${MAX_MESSAGE_AGE / 1000}s`,
@@ -762,12 +954,24 @@ export async function startBot(config, log, authDir) {
       ])
     );
 
+    // Group IDs named directly in routing rules (rules.json) → rule name
+    const ruleRevMap = new Map(
+      (config.routingRules || []).flatMap((rule) =>
+        rule.action.targets.filter((t) => t.endsWith("@g.us")).map((gid) => [gid, rule.name])
+      )
+    );
+
     // Step 3: Collect ALL group IDs from config (even if bot was removed)
     const allConfiguredGroupIds = new Set([
       ...config.sourceGroupIds,
       ...config.paidCommonGroupId,
       config.freeCommonGroupId,
       ...Object.values(config.cityTargetGroups),
+      ...Object.values(config.vehicleTargetGroups || {}).flat(),
+      ...Object.values(config.regionTargetGroups || {}).flat(),
+      ...(config.scheduledRides?.targetGroups || []),
+      ...(config.supplyPosts?.targetGroups || []),
+      ...ruleRevMap.keys(),
     ]);
 
     // Step 4: For each configured group not in fetched set, try to fetch metadata
@@ -840,6 +1044,20 @@ export async function startBot(config, log, authDir) {
     const cityRevMap = new Map(
       Object.entries(config.cityTargetGroups).map(([city, gid]) => [gid, city])
     );
+    const vehicleRevMap = new Map(
+      Object.entries(config.vehicleTargetGroups || {}).flatMap(([vehicleClass, gids]) =>
+        gids.map((gid) => [gid, vehicleClass])
+      )
+    );
+    const regionRevMap = new Map(
+      Object.entries(config.regionTargetGroups || {}).flatMap(([region, gids]) =>
+        gids.map((gid) => [gid, region])
+      )
+    );
+    const scheduledSet = new Set(config.scheduledRides?.targetGroups || []);
+    const supplySet    = new Set(config.supplyPosts?.targetGroups || []);
+
+    const quotaUsage = getTargetQuotaUsage(config);
 
     const categorized = allGroups.map((group) => {
       let category = "other";
@@ -859,6 +1077,24 @@ export async function startBot(config, log, authDir) {
         category = "city";
         label    = `City: ${cityRevMap.get(group.id)}`;
         meta     = { city: cityRevMap.get(group.id) };
+      } else if (regionRevMap.has(group.id)) {
+        category = "region";
+        label    = `Region: ${regionRevMap.get(group.id)}`;
+        meta     = { region: regionRevMap.get(group.id) };
+      } else if (vehicleRevMap.has(group.id)) {
+        category = "vehicle";
+        label    = `Vehicle: ${vehicleRevMap.get(group.id)}`;
+        meta     = { vehicleClass: vehicleRevMap.get(group.id) };
+      } else if (scheduledSet.has(group.id)) {
+        category = "scheduled";
+        label    = "Scheduled Rides";
+      } else if (supplySet.has(group.id)) {
+        category = "supply";
+        label    = "Vehicles Available (supply posts)";
+      } else if (ruleRevMap.has(group.id)) {
+        category = "rule";
+        label    = `Rule: ${ruleRevMap.get(group.id)}`;
+        meta     = { rule: ruleRevMap.get(group.id) };
       }
 
       if (category !== "other" && group.status === "not_participating") {
@@ -875,14 +1111,21 @@ export async function startBot(config, log, authDir) {
         : category === "other" ? "other"
         : "target";
 
-      return { ...group, category, type, label, meta };
+      const { accept, transform, template } = config.targetSettings?.[group.id] || {};
+      return {
+        ...group, category, type, label, meta,
+        accept:    accept ? formatAccept(accept) : null,
+        quota:     quotaUsage[group.id] || null,
+        transform: transform ? { name: transform.name, phones: transform.phones } : null,
+        template:  template?.name || null,
+      };
     });
 
     // Step 6: Sort by category
-    const sortOrder = { source: 1, paid: 2, city: 3, free_common: 4, other: 5 };
+    const sortOrder = { source: 1, paid: 2, city: 3, region: 4, vehicle: 5, scheduled: 6, supply: 7, rule: 8, free_common: 9, other: 10 };
     categorized.sort((a, b) => {
-      const oa = sortOrder[a.category] || 9;
-      const ob = sortOrder[b.category] || 9;
+      const oa = sortOrder[a.category] || 11;
+      const ob = sortOrder[b.category] || 11;
       if (oa !== ob) return oa - ob;
       return (a.name || "").localeCompare(b.name || "");
     });
@@ -933,6 +1176,11 @@ export async function startBot(config, log, authDir) {
         source:      categorized.filter((g) => g.category === "source").length,
         paid:        categorized.filter((g) => g.category === "paid").length,
         city:        categorized.filter((g) => g.category === "city").length,
+        region:      categorized.filter((g) => g.category === "region").length,
+        vehicle:     categorized.filter((g) => g.category === "vehicle").length,
+        scheduled:   categorized.filter((g) => g.category === "scheduled").length,
+        supply:      categorized.filter((g) => g.category === "supply").length,
+        rule:        categorized.filter((g) => g.category === "rule").length,
         freeCommon:  categorized.filter((g) => g.category === "free_common").length,
         unmonitored: categorized.filter((g) => g.category === "other").length,
       },
@@ -943,8 +1191,13 @@ export async function startBot(config, log, authDir) {
       routing: {
         pathA:  "source group → paid[] + city + free",
         pathB:  "freeCommon → paid[] + city",
+        rules:  (config.routingRules || []).map(describeRule),
         cities: config.configuredCities,
-        cityDetection: "pickup-only",
+        cityDetection: config.routeToDropCity ? "pickup + drop" : "pickup-only",
+        vehicleClasses: Object.keys(config.vehicleTargetGroups || {}),
+        regions: Object.fromEntries(
+          Object.keys(config.regionTargetGroups || {}).map((region) => [region, REGIONS[region] || []])
+        ),
       },
       groups: categorized,
     });
@@ -1016,20 +1269,24 @@ export async function startBot(config, log, authDir) {
     if (saveDebounceTimer) { clearTimeout(saveDebounceTimer); saveDebounceTimer = null; }
 
     saveFingerprints();
+    suspendSendQueue(log);
     destroySocket("shutdown");
 
     log.info("📊 Final stats:");
     log.info(`   Processed:   ${stats.totalProcessed}`);
     log.info(`   Path A:      ${stats.pathARouted}`);
     log.info(`   Path B:      ${stats.pathBRouted}`);
-    log.info(`   Duplicates:  ${stats.duplicatesSkipped}`);
+    log.info(`   Multi-ride:  ${stats.multiRideMessages} (${stats.segmentsRouted} rides routed, ${stats.duplicateSegmentsSkipped} dupes)`);
+    log.info(`   Duplicates:  ${stats.duplicatesSkipped} (${stats.nearDuplicatesSkipped} near, ${stats.duplicateRideSkipped} same ride)`);
     log.info(`   Too old:     ${stats.rejectedTooOld}`);
+    log.info(`   Not taxi:    ${stats.rejectedNotTaxi} ${JSON.stringify(stats.notTaxiReasons)}`);
     log.info(`   Replays:     ${stats.replayIdsSkipped}`);
     log.info(`   Races:       ${stats.racePrevented} (prevented)`);
     log.info(`   Crypto:      ${stats.cryptoErrors} (normal)`);
     log.info(`   Reconnects:  ${stats.reconnectCount}`);
     log.info(`   Sends OK:    ${stats.sendSuccesses}`);
     log.info(`   Sends FAIL:  ${stats.sendFailures}`);
+    log.info(`   Queue:       ${getSendQueueStatus().pending} pending (${stats.queueResumed} resumed, ${stats.queueExpired} expired, ${stats.ridesEmbargoed} rides embargoed)`);
 
     log.info("✅ Shutdown complete");
     process.exit(0);
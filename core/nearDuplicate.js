@@ -0,0 +1,122 @@
+/**
+ * ============================================================================
+ * nearDuplicate.js — similarity dedup next to the exact fingerprintSet
+ * ============================================================================
+ * getMessageFingerprint() is an exact hash: one extra word, a reordered line or
+ * a different emoji makes a repost look new. This index catches those reposts
+ * with a token-set Jaccard similarity:
+ *
+ *   tokens = words + per-line word pairs + normalized phone numbers
+ *
+ * Per-line word pairs keep direction ("mohali to delhi" ≠ "delhi to mohali")
+ * while whole lines can still be reordered. Emoji and punctuation are dropped.
+ * Two messages that both carry phone numbers but share none are never
+ * duplicates — same template, different dispatcher.
+ *
+ * Entries live for deduplication.fingerprintTTL and are held in memory only —
+ * after a restart the persisted exact fingerprints still cover plain reposts.
+ * ============================================================================
+ */
+
+import { normalizeText, extractPhoneNumbers } from "./filter.js";
+
+const DEFAULT_OPTIONS = { threshold: 0.8, minTokens: 4, ttlMs: 7_200_000, maxEntries: 2000 };
+
+/**
+ * Builds the similarity token set for a message.
+ *
+ * @param {string} text
+ * @returns {{ tokens: Set<string>, phones: string[], wordCount: number }}
+ */
+export function tokenizeForSimilarity(text) {
+  const tokens = new Set();
+  let wordCount = 0;
+
+  for (const line of (text || "").split("\n")) {
+    const words = normalizeText(line)
+      .replace(/[^\p{L}\p{M}\d\s]/gu, " ")
+      .split(/\s+/)
+      // Long digit runs are phone fragments ("98765 43210") — added below as whole numbers
+      .filter((w) => w && !/^\d{5,}$/.test(w));
+
+    for (let i = 0; i < words.length; i++) {
+      if (!tokens.has(words[i])) wordCount++;
+      tokens.add(words[i]);
+      if (i > 0) tokens.add(`${words[i - 1]} ${words[i]}`);
+    }
+  }
+
+  const phones = extractPhoneNumbers(text);
+  for (const phone of phones) tokens.add(`#${phone}`);
+  return { tokens, phones, wordCount };
+}
+
+/** |A ∩ B| / |A ∪ B| — 1 for identical sets, 0 for disjoint ones. */
+export function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const token of small) if (large.has(token)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * In-memory near-duplicate index keyed by exact fingerprint.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.threshold]  - Jaccard similarity at/above which it's a repost
+ * @param {number} [options.minTokens]  - Messages with fewer distinct words are skipped
+ *                                        (short texts are too similar by accident)
+ * @param {number} [options.ttlMs]      - How long an entry can be matched
+ * @param {number} [options.maxEntries] - Oldest entries are evicted beyond this
+ */
+export function createNearDuplicateIndex(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const entries  = new Map(); // fingerprint → { tokens, phones, timestamp } (insertion-ordered)
+
+  function prune(now) {
+    for (const [fingerprint, entry] of entries) {
+      if (now - entry.timestamp <= settings.ttlMs) break; // Map order = oldest first
+      entries.delete(fingerprint);
+    }
+  }
+
+  return {
+    /**
+     * Best match at/above the threshold, or null.
+     * @returns {{ fingerprint: string, similarity: number }|null}
+     */
+    findMatch(similarity, now = Date.now()) {
+      prune(now);
+      if (similarity.wordCount < settings.minTokens) return null;
+
+      let best = null;
+      for (const [fingerprint, entry] of entries) {
+        if (similarity.phones.length && entry.phones.length &&
+            !similarity.phones.some((p) => entry.phones.includes(p))) continue;
+        const score = jaccardSimilarity(similarity.tokens, entry.tokens);
+        if (score >= settings.threshold && (!best || score > best.similarity)) {
+          best = { fingerprint, similarity: Math.round(score * 100) / 100 };
+        }
+      }
+      return best;
+    },
+
+    add(fingerprint, similarity, now = Date.now()) {
+      if (similarity.wordCount < settings.minTokens) return;
+      entries.delete(fingerprint);
+      entries.set(fingerprint, { tokens: similarity.tokens, phones: similarity.phones, timestamp: now });
+      while (entries.size > settings.maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete(fingerprint) {
+      entries.delete(fingerprint);
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
@@ -0,0 +1,28 @@
+// Self-check for the near-duplicate index. Run: node core/nearDuplicate.test.mjs
+import assert from "assert";
+import { createNearDuplicateIndex, tokenizeForSimilarity as tokens } from "./nearDuplicate.js";
+
+const RIDE = "Need Innova Mohali to Delhi airport\nkal subah 5 baje\nCall 98765 43210";
+const index = createNearDuplicateIndex({ threshold: 0.8, ttlMs: 60_000 });
+index.add("fp-ride", tokens(RIDE), 0);
+
+// 1. Extra word, emoji, phone formatting, reordered lines → same ride.
+assert.strictEqual(index.findMatch(tokens(RIDE.replace("airport", "airport urgent 🚕")), 1)?.fingerprint, "fp-ride");
+assert.strictEqual(index.findMatch(tokens(RIDE.split("\n").reverse().join("\n")), 1)?.similarity, 1);
+
+// 2. Reversed route or a different dispatcher's number → a different ride.
+assert.strictEqual(index.findMatch(tokens(RIDE.replace("Mohali to Delhi", "Delhi to Mohali")), 1), null);
+assert.strictEqual(index.findMatch(tokens(RIDE.replace("98765 43210", "98765 11111")), 1), null);
+
+// 3. Short messages are left to the exact fingerprint.
+index.add("fp-short", tokens("cab chahiye"), 0);
+assert.strictEqual(index.findMatch(tokens("cab chahiye"), 1), null);
+
+// 4. Entries expire after the TTL; delete() unlocks rejected messages.
+assert.strictEqual(index.findMatch(tokens(RIDE), 60_001), null);
+assert.strictEqual(index.size, 0);
+index.add("fp-rejected", tokens(RIDE), 0);
+index.delete("fp-rejected");
+assert.strictEqual(index.findMatch(tokens(RIDE), 1), null);
+
+console.log("✅ nearDuplicate: all checks passed");
@@ -0,0 +1,140 @@
+/**
+ * ============================================================================
+ * rideTemplates.js — render a parsed ride into a clean standard layout
+ * ============================================================================
+ * Forwarded rides are the raw source text, however the dispatcher typed it.
+ * A target group with a template (config.json → targetSettings[id].template)
+ * gets the parsed ride (filter.parseRide) laid out instead:
+ *
+ *   📍 Pickup: Mohali
+ *   🏁 Drop: Delhi
+ *   🚗 Vehicle: Innova
+ *   ⏰ Time: kal subah 5 baje (2026-10-20 05:00 IST)
+ *   📞 Phone: 9876543210
+ *
+ * "standard" (above) is built in; config.messageTemplates adds or overrides:
+ *
+ *   "messageTemplates": {
+ *     "short": { "lines": ["🚕 {pickup} → {drop}", "📞 {phone}"], "minConfidence": 0.8 }
+ *   }
+ *
+ * PLACEHOLDERS  {pickup} {drop} {vehicle} {time} {phone} {fare}
+ *               A line whose placeholders all come out empty is left out;
+ *               lines without placeholders are kept as written.
+ *
+ * FALLBACK      The raw text is sent instead when the parse is too weak to
+ *               trust: ride.confidence below minConfidence (default 0.6), or
+ *               no pickup city, or no phone number.
+ *
+ * Pure — no config, no I/O. Phone transforms and branding are applied by the
+ * router on top of whatever this returns.
+ * ============================================================================
+ */
+
+import { formatIstTime } from "./filter.js";
+
+export const TEMPLATE_FIELDS = ["pickup", "drop", "vehicle", "time", "phone", "fare"];
+
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+export const STANDARD_TEMPLATE = {
+  name: "standard",
+  lines: [
+    "📍 Pickup: {pickup}",
+    "🏁 Drop: {drop}",
+    "🚗 Vehicle: {vehicle}",
+    "⏰ Time: {time}",
+    "📞 Phone: {phone}",
+  ],
+  minConfidence: DEFAULT_MIN_CONFIDENCE,
+};
+
+const VEHICLE_LABELS = {
+  innova:    "Innova",
+  tempo:     "Tempo Traveller",
+  suv:       "SUV",
+  sedan:     "Sedan",
+  hatchback: "Hatchback",
+  parcel:    "Parcel",
+};
+
+const PLACEHOLDER_RE = /\{(\w+)\}/g;
+
+/**
+ * Validates config.messageTemplates and merges it over the built-in "standard".
+ *
+ * @param {Object} [data] - { "<name>": { lines: string[], minConfidence?: number } }
+ * @returns {{ errors: string[], templates: Object<string, { name, lines, minConfidence }> }}
+ */
+export function compileMessageTemplates(data = {}) {
+  const errors    = [];
+  const templates = { standard: STANDARD_TEMPLATE };
+
+  if (typeof data !== "object" || data === null || Array.isArray(data)) {
+    return { errors: ["messageTemplates must be an object map { \"<name>\": { lines, minConfidence } }"], templates };
+  }
+
+  for (const [name, template] of Object.entries(data)) {
+    const where = `messageTemplates["${name}"]`;
+    if (typeof template !== "object" || template === null || Array.isArray(template)) {
+      errors.push(`${where} must be an object { lines, minConfidence }`);
+      continue;
+    }
+    const unknownKeys = Object.keys(template).filter((k) => !["lines", "minConfidence"].includes(k));
+    if (unknownKeys.length) errors.push(`${where}: unknown key(s) ${unknownKeys.join(", ")} (use: lines, minConfidence)`);
+
+    const { lines, minConfidence = DEFAULT_MIN_CONFIDENCE } = template;
+    if (!Array.isArray(lines) || lines.length === 0 || lines.some((line) => typeof line !== "string")) {
+      errors.push(`${where}.lines must be a non-empty array of strings`);
+      continue;
+    }
+    const unknownFields = [...new Set(lines.flatMap((line) => [...line.matchAll(PLACEHOLDER_RE)].map((m) => m[1])))]
+      .filter((field) => !TEMPLATE_FIELDS.includes(field));
+    if (unknownFields.length) {
+      errors.push(`${where}: unknown placeholder(s) ${unknownFields.map((f) => `{${f}}`).join(", ")} (use: ${TEMPLATE_FIELDS.map((f) => `{${f}}`).join(" ")})`);
+    }
+    if (typeof minConfidence !== "number" || minConfidence < 0 || minConfidence > 1) {
+      errors.push(`${where}.minConfidence must be a number between 0 and 1`);
+    }
+    templates[name] = { name, lines, minConfidence };
+  }
+
+  return { errors, templates };
+}
+
+function getFieldValues(ride) {
+  return {
+    pickup:  ride.pickupCity || "",
+    drop:    ride.dropCity || "",
+    vehicle: ride.vehicleClass ? VEHICLE_LABELS[ride.vehicleClass] || ride.vehicleClass : "",
+    time:    ride.timeText
+      ? `${ride.timeText}${ride.pickupAt ? ` (${formatIstTime(ride.pickupAt)})` : ""}`
+      : "",
+    phone:   ride.phones.join(", "),
+    fare:    ride.fare ? `₹${ride.fare}` : "",
+  };
+}
+
+/**
+ * Renders a ride with a template, or says why the raw text should go instead.
+ *
+ * @param {Object} ride     - filter.parseRide() result
+ * @param {Object} template - compiled template { name, lines, minConfidence }
+ * @returns {{ text: string, fallback: string|null }} fallback = reason the raw text was kept
+ */
+export function renderRide(ride, template) {
+  if (!ride.pickupCity) return { text: ride.text, fallback: "no pickup city" };
+  if (ride.phones.length === 0) return { text: ride.text, fallback: "no phone number" };
+  if (ride.confidence < template.minConfidence) {
+    return { text: ride.text, fallback: `confidence ${ride.confidence} < ${template.minConfidence}` };
+  }
+
+  const values = getFieldValues(ride);
+  const lines  = [];
+  for (const line of template.lines) {
+    const fields = [...line.matchAll(PLACEHOLDER_RE)].map((m) => m[1]);
+    if (fields.length && fields.every((field) => !values[field])) continue;
+    lines.push(line.replace(PLACEHOLDER_RE, (_, field) => values[field]));
+  }
+  return { text: lines.join("\n"), fallback: null };
+}
@@ -0,0 +1,48 @@
+// Self-check for ride message templates. Run: node core/rideTemplates.test.mjs
+import assert from "assert";
+import { parseRide } from "./filter.js";
+import { compileMessageTemplates, renderRide, STANDARD_TEMPLATE } from "./rideTemplates.js";
+
+const NOW  = Date.parse("2026-10-19T12:00:00+05:30");
+const ride = (text) => parseRide(text, ["Mohali", "Delhi"], { now: NOW });
+
+// 1. Standard layout; fields the parse didn't find are left out.
+let out = renderRide(ride("Need innova Mohali to Delhi 9876543210 kal subah 5 baje"), STANDARD_TEMPLATE);
+assert.strictEqual(out.fallback, null);
+assert.strictEqual(out.text, [
+  "📍 Pickup: Mohali",
+  "🏁 Drop: Delhi",
+  "🚗 Vehicle: Innova",
+  "⏰ Time: kal subah 5 baje (2026-10-20 05:00 IST)",
+  "📞 Phone: 9876543210",
+].join("\n"));
+assert.strictEqual(renderRide(ride("Need cab Mohali 9876543210"), STANDARD_TEMPLATE).text, "📍 Pickup: Mohali\n📞 Phone: 9876543210");
+
+// 2. Weak parses keep the raw text.
+const weak = ride("cab chahiye 9876543210 jaldi");
+assert.deepStrictEqual(renderRide(weak, STANDARD_TEMPLATE), { text: weak.text, fallback: "no pickup city" });
+assert.strictEqual(renderRide(ride("Need cab Mohali to Delhi"), STANDARD_TEMPLATE).fallback, "no phone number");
+
+// 3. Custom templates: own lines + threshold; "standard" stays available.
+let { errors, templates } = compileMessageTemplates({
+  short: { lines: ["🚕 New ride", "{pickup} → {drop}", "💰 {fare}", "📞 {phone}"], minConfidence: 0.8 },
+});
+assert.deepStrictEqual(errors, []);
+assert.deepStrictEqual(Object.keys(templates), ["standard", "short"]);
+out = renderRide(ride("Mohali to Delhi 9876543210 fare 2500"), templates.short);
+assert.strictEqual(out.text, "🚕 New ride\nMohali → Delhi\n💰 ₹2500\n📞 9876543210");
+assert.strictEqual(renderRide(ride("Need cab Mohali 9876543210"), templates.short).fallback, "confidence 0.6 < 0.8");
+
+// 4. Every problem is reported.
+({ errors } = compileMessageTemplates({
+  a: { lines: ["{pickup} {city}"], minConfidence: 2 },
+  b: { lines: [], colour: "red" },
+  c: "📍 {pickup}",
+}));
+assert.ok(errors.some((e) => e.includes('["a"]: unknown placeholder(s) {city}')));
+assert.ok(errors.some((e) => e.includes('["a"].minConfidence')));
+assert.ok(errors.some((e) => e.includes('["b"]: unknown key(s) colour')));
+assert.ok(errors.some((e) => e.includes('["b"].lines must be')));
+assert.ok(errors.some((e) => e.includes('["c"] must be an object')));
+
+console.log("✅ rideTemplates: all checks passed");
@@ -1,6 +1,7 @@
 // Self-check for idempotent branding. Run: node core/router.branding.test.mjs
 import assert from "assert";
-import { applyBranding } from "./router.js";
+import { applyBranding, applyTextTransform } from "./router.js";
+import { hasPhoneNumber, hasLongDigitRun } from "./filter.js";
 
 const config = {
   brandingSuffixes: [
@@ -41,4 +42,46 @@ assert.strictEqual(countSuffixes(applyBranding(stacked, config)), 1, "stacked co
 // 4. No branding configured → text untouched.
 assert.strictEqual(applyBranding(ride, { brandingSuffixes: [] }), ride);
 
+// 5. A routing rule's own suffix replaces the bot's — never stacked on top of it.
+const desk = "- ✈️ Airport Desk";
+msg = applyBranding(applyBranding(ride, config), config, [desk]);
+assert.strictEqual(countSuffixes(msg), 0, "bot suffix peeled");
+assert.ok(msg.endsWith(desk) && msg.startsWith(ride));
+
+// 6. Per-target phone transforms run on the ride text; branding goes on after.
+const post = "Delhi to Noida\nSedan needed\n📞 +91 98765-43210\nCall 9811122233 now";
+assert.strictEqual(applyTextTransform(post, { phones: "mask" }), "Delhi to Noida\nSedan needed\n📞 98xxxxxx10\nCall 98xxxxxx33 now");
+assert.strictEqual(applyTextTransform(post, { phones: "strip" }), "Delhi to Noida\nSedan needed\nCall now");
+assert.strictEqual(
+  applyTextTransform(post, { phones: "replace", replaceWith: "📞 Contact admin" }),
+  "Delhi to Noida\nSedan needed\nCall now\n📞 Contact admin"
+);
+assert.strictEqual(applyTextTransform(post, { phones: "show" }), post);
+assert.strictEqual(applyTextTransform(post, undefined), post);
+
+// 7. Every number the phone gate sees is masked / stripped — no written shape leaks.
+for (const written of ["9876 543210", "987654 3210", "(987) 654-3210", "98765  43210", "+91 98765-43210"]) {
+  const leak = `Mohali to Delhi sedan ${written} call`;
+  assert.ok(hasPhoneNumber(leak), `gate sees ${written}`);
+  assert.strictEqual(applyTextTransform(leak, { phones: "mask" }), "Mohali to Delhi sedan 98xxxxxx10 call", `mask ${written}`);
+  assert.strictEqual(applyTextTransform(leak, { phones: "strip" }), "Mohali to Delhi sedan call", `strip ${written}`);
+  assert.ok(!hasLongDigitRun(applyTextTransform(leak, { phones: "replace", replaceWith: "📞 admin" })), `replace ${written}`);
+}
+
+// 8. Fail-closed check: a shape the matcher doesn't know still counts as a visible number.
+assert.ok(hasLongDigitRun(applyTextTransform("cab 98 76 54 32 10", { phones: "mask" })));
+assert.ok(!hasLongDigitRun("Mohali to Delhi 12-10-2026 10:30 98xxxxxx10"));
+assert.ok(!hasPhoneNumber("Mohali to Delhi 12-10-2026 10:30 98xxxxxx10"));
+
+// 9. The routing gate keeps its baseline patterns; shapes the masker doesn't take
+//    ("call 12 345678", 11/13-digit runs) still pass it — and fail closed when masked.
+for (const written of ["call 12 345678", "98765432101", "9876543210123"]) {
+  assert.ok(hasPhoneNumber(written), `gate passes ${written}`);
+  const masked = applyTextTransform(written, { phones: "mask" });
+  assert.ok(hasPhoneNumber(masked) || hasLongDigitRun(masked), `fail closed on ${written}`);
+}
+for (const written of ["98765-432-10", "9876-543-210", "+91 9876 543 210"]) {
+  assert.ok(!hasPhoneNumber(written), `gate rejects ${written}`);
+}
+
 console.log("✅ branding idempotency: all checks passed");
@@ -6,31 +6,62 @@
  * ✅ Pickup-only city extraction preserved (no dual city logic)
  * ✅ All Bot-2 improvements applied while keeping Path A/B routing intact
  *
- * ROUTING (Bot-1):
+ * ROUTING (Bot-1) — declarative rules (routingRules.js, bots/<bot>/rules.json);
+ * the first matching rule picks targets, branding and delay. Default rules:
  *   Path A: source group → paidCommonGroupId[] + cityTargetGroup + freeCommonGroupId
  *   Path B: freeCommonGroupId → cityTargetGroup only (NOT paid, NOT free)
+ *   Path A: + the DROP city's cityTargetGroup when config.routeToDropCity is on
+ *   Path A: + regionTargetGroups[pickup region] — Tricity/NCR clusters from city-aliases.json
+ *   Path A: + vehicleTargetGroups[ride.vehicleClass] (e.g. an "Innova only" group)
+ *   Path A: multi-ride posts ("1) Mohali to Delhi 98… 2) Zirakpur to Ambala 97…")
+ *           are split and each ride routed on its own, with its own fingerprint;
+ *           the post takes one rate-limit slot and one processing delay, and
+ *           paid groups get one message per ride
+ *   Both:   + scheduledRides.targetGroups for scheduled rides ("kal subah 5 baje");
+ *           exclusive: true sends scheduled rides ONLY there
+ *   Supply posts ("Innova available, empty return"): forwarded as usual, dropped,
+ *           or (Path A) sent ONLY to supplyPosts.targetGroups — config.supplyPosts.action
+ *   Per target: config.targetSettings[id].template → ride re-laid out as
+ *           📍 Pickup / 🏁 Drop / 🚗 Vehicle / ⏰ Time / 📞 Phone (rideTemplates.js),
+ *           raw text when the parse confidence is low;
+ *           .transform → a transformProfiles entry that masks / replaces / strips
+ *           phone numbers (teaser for free groups)
+ *   Dry run: explainMessage() walks the same gates + target builders without
+ *           sending — used by scripts/explain.js
  *
  * ANTI-BAN:
  *   ✅ A1: Length-scaled typing delay (1.0-1.8s, before first send only)
- *   ✅ A3: Fisher-Yates shuffle (target randomization)
+ *   ✅ A3: Fisher-Yates shuffle (target randomization) inside each send tier:
+ *      paid → city → free, optional per-tier embargo (config.tierEmbargoMinutes)
  *   ✅ A5: Weighted between-group gaps (0.8-1.5s, 65% low-end bias)
  *   ✅ Per-group send cooldown (1s)
  *   ✅ 15s send timeout with single retry
  *   ✅ Circuit breaker (opens at 10 failures, resets after 60s)
  *   ✅ Sliding-window rate limiter (accurate, no reset skew)
+ *   ✅ Per-target hourly/daily quotas (config.targetSettings[id].quota)
  *   ✅ inFlightSends.delete on ALL failure paths (fixes stuck cooldown)
+ *   ✅ Disk-backed send queue (send-queue.jsonl): pending sends survive a
+ *      restart, dropped after sendQueue.maxAgeMs
  * ============================================================================
  */
 
 import {
-  isTaxiRequest,
-  extractPickupCity,
-  hasPhoneNumber,
+  scoreTaxiRequest,
+  formatTaxiReasons,
   containsBlockedNumber,
-  ALL_CITIES,
+  parseRide,
+  formatIstTime,
+  splitRideSegments,
+  getMessageFingerprint,
+  replacePhoneNumbers,
+  hasPhoneNumber,
+  hasLongDigitRun,
 } from "./filter.js";
 
 import { GLOBAL_CONFIG } from "./globalConfig.js";
+import { DEFAULT_ROUTING_RULES, findRule, describeRule } from "./routingRules.js";
+import { createSendQueue } from "./sendQueue.js";
+import { renderRide } from "./rideTemplates.js";
 
 import fs   from "fs";
 import path from "path";
@@ -42,16 +73,19 @@ import path from "path";
 // got reposted back into a source group) before appending exactly one. Without
 // this a re-entering message stacks 2..N suffixes — the fingerprint dedup can't
 // catch it because each appended suffix changes the text.
-export function applyBranding(text, config) {
-  const variants = config.brandingSuffixes;
+//
+// `variants` overrides the suffixes to pick from (a routing rule's own branding);
+// the bot's brandingSuffixes are still peeled so the two never stack.
+export function applyBranding(text, config, variants = config.brandingSuffixes) {
   if (!Array.isArray(variants) || variants.length === 0) return text;
 
   // Peel off any trailing suffix (any variant, repeated) plus its leading blank line.
+  const known = [...new Set([...variants, ...(config.brandingSuffixes || [])])];
   let base = text.replace(/\s+$/, "");
   let peeled = true;
   while (peeled) {
     peeled = false;
-    for (const v of variants) {
+    for (const v of known) {
       if (base.endsWith(v)) {
         base   = base.slice(0, -v.length).replace(/\s+$/, "");
         peeled = true;
@@ -65,9 +99,19 @@ export function applyBranding(text, config) {
 
 // Append-only ride log: one JSON line per forwarded ride → rides.jsonl in the bot dir.
 // Read + aggregated on demand by the control panel. Fire-and-forget; never throws.
-function logRide(config, city) {
+// `city` is the pickup among ALL known cities (not just routed ones) so analytics
+// counts every ride; the rest comes straight from the parsed Ride.
+function logRide(config, ride) {
   if (!config.botDir) return;
-  const line = JSON.stringify({ t: Date.now(), city: city || "unknown" }) + "\n";
+  const line = JSON.stringify({
+    t:         Date.now(),
+    city:      ride.pickupCity || "unknown",
+    drop:      ride.dropCity || "unknown",
+    vehicle:   ride.vehicleClass,
+    pickupAt:  ride.pickupAt,
+    scheduled: ride.scheduled,
+    conf:      ride.confidence,
+  }) + "\n";
   fs.appendFile(path.join(config.botDir, "rides.jsonl"), line, () => {});
 }
 
@@ -81,6 +125,11 @@ const rateLimitTimestamps = { hourly: [], daily: [] };
 // Per-group send cooldown
 const inFlightSends = new Map();
 
+// Per-target send quotas (config.targetSettings[id].quota): groupId → send timestamps
+const targetSendTimestamps = new Map();
+// ...and groupId → ids of queued jobs holding a quota slot until they are sent
+const targetQuotaReservations = new Map();
+
 // Circuit breaker
 const circuitBreaker = {
   failureCount: 0,
@@ -122,6 +171,82 @@ function isRateLimited(log) {
   return false;
 }
 
+// =============================================================================
+// PER-TARGET QUOTAS (sliding window, like the global limiter)
+// =============================================================================
+// The global limiter above is one budget for the whole number; a chatty city
+// group could use it all up. A group with targetSettings[id].quota is skipped
+// once it has had `hourly` sends in the last hour or `daily` in the last 24h.
+// A queued job reserves its slot when it is queued (embargoed tiers wait
+// minutes), so a burst can't all pass the check before any of it is sent; the
+// slot turns into a send when it goes out, and is released if the job fails
+// or expires.
+
+function getTargetSends(groupId, now = Date.now()) {
+  const sends = (targetSendTimestamps.get(groupId) || []).filter((t) => now - t < 86_400_000);
+  if (sends.length) targetSendTimestamps.set(groupId, sends);
+  else targetSendTimestamps.delete(groupId);
+  return sends;
+}
+
+/** Sends to a group in the last hour / 24h, counting queued jobs' reserved slots. */
+function countTargetSends(groupId, now = Date.now()) {
+  const sends    = getTargetSends(groupId, now);
+  const reserved = targetQuotaReservations.get(groupId)?.size || 0;
+  return { hourly: sends.filter((t) => now - t < 3_600_000).length + reserved, daily: sends.length + reserved };
+}
+
+/** Which cap a send to this group would break ("hourly 20/20"), or null. */
+function getQuotaMiss(quota, groupId) {
+  if (!quota) return null;
+  const used = countTargetSends(groupId);
+  if (quota.hourly && used.hourly >= quota.hourly) return `hourly ${used.hourly}/${quota.hourly}`;
+  if (quota.daily && used.daily >= quota.daily) return `daily ${used.daily}/${quota.daily}`;
+  return null;
+}
+
+function reserveTargetSend(job, config) {
+  if (!config?.targetSettings?.[job.groupId]?.quota) return;
+  const reserved = targetQuotaReservations.get(job.groupId) || new Set();
+  reserved.add(job.id);
+  targetQuotaReservations.set(job.groupId, reserved);
+}
+
+/** Frees a queued job's slot; true when it held one. */
+function releaseTargetSend(job) {
+  const reserved = targetQuotaReservations.get(job.groupId);
+  if (!reserved?.delete(job.id)) return false;
+  if (reserved.size === 0) targetQuotaReservations.delete(job.groupId);
+  return true;
+}
+
+// Jobs restored from before a restart never reserved a slot — counted on send all the same
+function recordTargetSend(job, config) {
+  releaseTargetSend(job);
+  if (!config?.targetSettings?.[job.groupId]?.quota) return;
+  const sends = targetSendTimestamps.get(job.groupId) || [];
+  sends.push(Date.now());
+  targetSendTimestamps.set(job.groupId, sends);
+}
+
+/**
+ * Current usage against every configured per-target quota, for /stats and /groups:
+ * { "<id>@g.us": { hourly: { used, limit }, daily: { used, limit } } } — limit null = uncapped;
+ * used counts queued jobs holding a slot.
+ */
+export function getTargetQuotaUsage(config) {
+  const usage = {};
+  for (const [groupId, settings] of Object.entries(config.targetSettings || {})) {
+    if (!settings.quota) continue;
+    const used = countTargetSends(groupId);
+    usage[groupId] = {
+      hourly: { used: used.hourly, limit: settings.quota.hourly ?? null },
+      daily:  { used: used.daily,  limit: settings.quota.daily ?? null },
+    };
+  }
+  return usage;
+}
+
 // =============================================================================
 // CIRCUIT BREAKER
 // =============================================================================
@@ -181,6 +306,36 @@ function shuffleArray(arr) {
   return shuffled;
 }
 
+// =============================================================================
+// SEND TIERS — paid → city → free; A3 shuffle only INSIDE a tier
+// =============================================================================
+// Paying members must never see a ride after the free group does. Every target
+// that isn't a paid or the free group (city, drop, region, vehicle, scheduled,
+// supply, rule literals) is "city". config.tierEmbargoMinutes optionally holds
+// a tier back, e.g. { free: 10 } → the free group gets the ride 10 min later.
+
+const SEND_TIERS = ["paid", "city", "free"];
+
+function getTargetTier(groupId, config) {
+  if (config?.paidCommonGroupId?.includes(groupId)) return "paid";
+  if (groupId === config?.freeCommonGroupId) return "free";
+  return "city";
+}
+
+function getTierEmbargoMs(groupId, config) {
+  return (config?.tierEmbargoMinutes?.[getTargetTier(groupId, config)] || 0) * 60_000;
+}
+
+function orderTargetsByTier(targets, config, shuffle = shuffleArray) {
+  return SEND_TIERS.flatMap((tier) => shuffle(targets.filter((id) => getTargetTier(id, config) === tier)));
+}
+
+// "free +10m" for the queue log / explain output
+function formatEmbargoes(jobsOrIds, config) {
+  const tiers = new Set(jobsOrIds.map((j) => getTargetTier(j.groupId || j, config)));
+  return [...tiers].map((tier) => `${tier} +${config.tierEmbargoMinutes[tier]}m`).join(", ");
+}
+
 /**
  * Remove target groups disabled via runtime.json (live "stop sharing to this
  * group" toggle from the control panel). Returns the original array untouched
@@ -199,20 +354,509 @@ function filterDisabledTargets(targets, runtime, log, label) {
   return active;
 }
 
+/**
+ * Why a target group's accept filter (config.targetSettings[id].accept) turns
+ * this ride down, or null when the group wants it. cities match the pickup OR
+ * drop city; every given condition must hold.
+ */
+function getAcceptanceMiss(accept, ride) {
+  if (!accept || !ride) return null;
+  if (accept.cities && !accept.cities.has(ride.pickupCity) && !accept.cities.has(ride.dropCity)) {
+    return `city ${ride.pickupCity || "?"} → ${ride.dropCity || "?"} not in ${[...accept.cities].join("/")}`;
+  }
+  if (accept.vehicles && !accept.vehicles.has(ride.vehicleClass)) {
+    return `vehicle ${ride.vehicleClass || "unknown"} not in ${[...accept.vehicles].join("/")}`;
+  }
+  if (accept.keywords) {
+    const text = ride.text.normalize("NFC").toLowerCase();
+    if (!accept.keywords.some((keyword) => text.includes(keyword))) return `none of ${accept.keywords.join("/")}`;
+  }
+  if (accept.minLength !== undefined && ride.text.length < accept.minLength) {
+    return `${ride.text.length} chars < ${accept.minLength}`;
+  }
+  return null;
+}
+
+/** A compiled accept filter as plain JSON (Sets → arrays), for /stats and /groups. */
+export function formatAccept(accept) {
+  return {
+    ...(accept.cities    && { cities:   [...accept.cities] }),
+    ...(accept.vehicles  && { vehicles: [...accept.vehicles] }),
+    ...(accept.keywords  && { keywords: accept.keywords }),
+    ...(accept.minLength !== undefined && { minLength: accept.minLength }),
+  };
+}
+
+/**
+ * Applies config.targetSettings inside the send loop (after filterDisabledTargets):
+ * drops the targets whose accept filter turns this ride down or whose quota is
+ * used up, logging each skip per group.
+ */
+function filterTargetsBySettings(targets, ride, config, stats, log, label) {
+  const settings = config?.targetSettings;
+  if (!settings) return targets;
+
+  return targets.filter((groupId) => {
+    const acceptMiss = ride ? getAcceptanceMiss(settings[groupId]?.accept, ride) : null;
+    if (acceptMiss) {
+      log.info(`🎯 [${label}] ${groupId.substring(0, 18)}... skipped — not accepted (${acceptMiss})`);
+      stats.skippedByTargetFilter = stats.skippedByTargetFilter || {};
+      stats.skippedByTargetFilter[groupId] = (stats.skippedByTargetFilter[groupId] || 0) + 1;
+      return false;
+    }
+
+    const quotaMiss = getQuotaMiss(settings[groupId]?.quota, groupId);
+    if (quotaMiss) {
+      log.warn(`🧮 [${label}] ${groupId.substring(0, 18)}... skipped — quota reached (${quotaMiss})`);
+      stats.skippedByQuota = stats.skippedByQuota || {};
+      stats.skippedByQuota[groupId] = (stats.skippedByQuota[groupId] || 0) + 1;
+      return false;
+    }
+    return true;
+  });
+}
+
+// rejectedNotTaxi stays the total; notTaxiReasons breaks it down by the
+// reason that decided it (ignorePhrase, noSignal, link, …) for /stats.
+function countNotTaxi(stats, taxiScore) {
+  stats.rejectedNotTaxi++;
+  stats.notTaxiReasons = stats.notTaxiReasons || {};
+  stats.notTaxiReasons[taxiScore.rejectReason] = (stats.notTaxiReasons[taxiScore.rejectReason] || 0) + 1;
+}
+
+/**
+ * Drop-city target (return loads for that city's drivers). Only when the bot
+ * opts in via config.routeToDropCity, and never when drop === pickup — the
+ * pickup group already gets the ride.
+ */
+function getDropGroupId(ride, config) {
+  if (!config.routeToDropCity) return null;
+  const dropCity = ride.routeDropCity;
+  if (!dropCity || dropCity === ride.routePickupCity) return null;
+  return config.cityTargetGroups[dropCity] || null;
+}
+
+/**
+ * Region targets: a pickup anywhere in a region ("Tricity", "NCR" — defined in
+ * city-aliases.json) also reaches config.regionTargetGroups[region]. Uses the
+ * analytics pickup (ALL cities), so a region group gets the ride even when the
+ * bot has no group for that exact city.
+ */
+function getRegionGroupIds(ride, config) {
+  return (ride.pickupRegion && config.regionTargetGroups?.[ride.pickupRegion]) || [];
+}
+
+/**
+ * Scheduled rides ("kal subah 5 baje") go to config.scheduledRides.targetGroups
+ * — added to the normal targets, or instead of them when exclusive is set.
+ * Immediate rides and bots without scheduled groups are unchanged.
+ */
+function applyScheduledRouting(targets, ride, config, log) {
+  const scheduledGroups = config.scheduledRides?.targetGroups || [];
+  if (!ride.scheduled || scheduledGroups.length === 0) return targets;
+
+  const exclusive = config.scheduledRides.exclusive;
+  log?.info(
+    `🗓️  Scheduled ride (${ride.pickupAt ? formatIstTime(ride.pickupAt) : ride.timeText}) → ` +
+    `${scheduledGroups.length} scheduled group(s)${exclusive ? " only" : ""}`
+  );
+  return exclusive ? [...scheduledGroups] : [...targets, ...scheduledGroups];
+}
+
+/**
+ * What happens to a supply post ("Innova available") on this path:
+ * "forward" (route like a ride), "drop", or "route" (Path A → supply groups only).
+ * Path B only forwards — the supply group is fed from the source groups.
+ */
+function getSupplyAction(ride, config, isPathA) {
+  if (ride.intent !== "supply") return "forward";
+  const action = config.supplyPosts?.action || "forward";
+  if (isPathA) return action;
+  return action === "forward" ? "forward" : "drop";
+}
+
+/**
+ * Targets of a routing rule for one ride: each action.targets token resolved
+ * from config.json (paid[], pickup city, drop city if enabled, region groups,
+ * vehicle groups, free) plus literal group IDs, then scheduled routing. Empty
+ * targets when nothing resolved — the caller drops it as "no city" (how Path B
+ * treats a ride with no city/region group). Deduped, before the runtime toggle.
+ */
+function buildRuleTargets(rule, ride, config, log = null) {
+  const tokens        = new Set(rule.action.targets);
+  const detectedCity  = ride.routePickupCity;
+  const cityGroupId   = tokens.has("city") && detectedCity ? config.cityTargetGroups[detectedCity] : null;
+  const dropGroupId   = tokens.has("drop") ? getDropGroupId(ride, config) : null;
+  const regionGroups  = tokens.has("region") ? getRegionGroupIds(ride, config) : [];
+  const vehicleGroups = (tokens.has("vehicle") && ride.vehicleClass && config.vehicleTargetGroups?.[ride.vehicleClass]) || [];
+
+  const resolved = rule.action.targets.flatMap((token) => {
+    switch (token) {
+      case "paid":    return config.paidCommonGroupId;
+      case "city":    return cityGroupId ? [cityGroupId] : [];
+      case "drop":    return dropGroupId ? [dropGroupId] : [];
+      case "region":  return regionGroups;
+      case "vehicle": return vehicleGroups;
+      case "free":    return [config.freeCommonGroupId];
+      default:        return [token]; // literal @g.us ID
+    }
+  });
+  if (resolved.length === 0) {
+    return { detectedCity, cityGroupId, dropGroupId, regionGroups, vehicleGroups, targets: [] };
+  }
+
+  const targets = applyScheduledRouting(resolved, ride, config, log);
+  return { detectedCity, cityGroupId, dropGroupId, regionGroups, vehicleGroups, targets: [...new Set(targets)] };
+}
+
+/** The bot's compiled rules (configLoader); the Path A/B defaults otherwise. */
+function getRoutingRules(config) {
+  return config.routingRules || DEFAULT_ROUTING_RULES;
+}
+
+/** Branding for a rule: the bot's suffixes, the rule's own, or none. */
+function brandForRule(text, rule, config) {
+  if (rule.action.branding === "none") return text;
+  if (Array.isArray(rule.action.branding)) return applyBranding(text, config, rule.action.branding);
+  return applyBranding(text, config);
+}
+
 // =============================================================================
-// SEQUENTIAL SEND LOOP
+// PER-TARGET TEXT TRANSFORMS — config.transformProfiles, targetSettings[id].transform
 // =============================================================================
+// Paid groups see the customer's number; free/trial groups get a teaser:
+//   mask    → 98xxxxxx10
+//   replace → numbers removed, profile.replaceWith appended as its own line
+//   strip   → numbers removed
+// Runs on the ride text BEFORE branding, so a number in a branding suffix
+// (admin contact) is never touched. Fail-closed: if the phone gate still sees
+// a number after the transform, or 10+ digits are still together (a shape the
+// phone matcher doesn't know), that target is skipped rather than shown it.
+
+const maskPhone = (digits) => `${digits.slice(0, 2)}${"x".repeat(6)}${digits.slice(-2)}`;
+
+/**
+ * Applies one transform profile ({ name, phones, replaceWith }) to a ride text.
+ * Lines left with nothing but punctuation/emoji after a number is removed are dropped.
+ */
+export function applyTextTransform(text, profile) {
+  if (!profile || profile.phones === "show") return text;
+  if (profile.phones === "mask") return replacePhoneNumbers(text, (_, digits) => maskPhone(digits));
+
+  const lines = text.split("\n").flatMap((line) => {
+    const stripped = replacePhoneNumbers(line, () => "").replace(/[ \t]{2,}/g, " ").trimEnd();
+    if (stripped === line) return [line];
+    return /[\p{L}\d]/u.test(stripped) ? [stripped] : [];
+  });
+  if (profile.phones === "replace") lines.push(profile.replaceWith);
+  return lines.join("\n");
+}
+
+// The text one target group receives: its message template (rideTemplates.js,
+// raw text when the parse is too weak), its transform profile, then the rule's
+// branding. null when the transform left a number visible — the group is skipped.
+function buildTargetText(ride, groupId, rule, config, stats, log) {
+  const { template, transform } = config?.targetSettings?.[groupId] || {};
+  let text = ride.text;
+  if (template) {
+    const rendered = renderRide(ride, template);
+    if (rendered.fallback) {
+      log.info(`🧾 [template ${template.name}] ${groupId.substring(0, 18)}... gets the raw text — ${rendered.fallback}`);
+      stats.templateFallbacks = (stats.templateFallbacks || 0) + 1;
+    } else {
+      stats.templatedSends = (stats.templatedSends || 0) + 1;
+    }
+    text = rendered.text;
+  }
+  const transformed = applyTextTransform(text, transform);
+  if (transform && transform.phones !== "show" && (hasPhoneNumber(transformed) || hasLongDigitRun(transformed))) {
+    log.warn(`📵 [transform ${transform.name}] ${groupId.substring(0, 18)}... skipped — a phone number survived the ${transform.phones}`);
+    stats.skippedByPhoneLeak = stats.skippedByPhoneLeak || {};
+    stats.skippedByPhoneLeak[groupId] = (stats.skippedByPhoneLeak[groupId] || 0) + 1;
+    return null;
+  }
+  return brandForRule(transformed, rule, config);
+}
+
+// =============================================================================
+// OUTBOUND SEND QUEUE (sendQueue.js) — one job per (message, target group)
+// =============================================================================
+// sendToMultipleGroupsSequential enqueues a batch and waits for it; a single
+// worker drains the queue in order with the same A1 typing delay (first job of
+// a batch), A5 gaps / random pauses (between jobs), per-group cooldown and
+// 15s timeout + retry as before. The queue is journaled to the bot directory,
+// so jobs still pending at a crash/restart are sent after the next connect —
+// unless they are older than GLOBAL_CONFIG.sendQueue.maxAgeMs.
+
+const sendWorker = {
+  queue:       null,
+  sock:        null,
+  config:      null,
+  stats:       null,
+  log:         null,
+  running:     false,
+  restoredLogged: false,
+  suspended:   false,   // connection closed — jobs wait for resumeSendQueue()
+  notBefore:   0,       // A4-style settling before resumed jobs go out
+  lastBatchId: null,
+  wake:        null,    // ends the idle wait for embargoed jobs (new jobs / suspend)
+};
+
+// batchId → { label, successCount, waiting: Set<jobId>, total, deferred, startTime, resolve }
+// Only jobs due right away are waited for; embargoed ones (deferred) go out later.
+const batchWaiters = new Map();
+let batchCounter = 0;
+
+function getSendQueue(config, log) {
+  if (!sendWorker.queue) {
+    const file = config?.botDir ? path.join(config.botDir, "send-queue.jsonl") : null;
+    sendWorker.queue = createSendQueue({ file, log });
+  }
+  return sendWorker.queue;
+}
+
+// queued = due jobs the paused worker still holds; embargoed = jobs held back
+// on purpose (tierEmbargoMinutes) — neither has been sent yet.
+function finishBatch(batchId, waiter) {
+  batchWaiters.delete(batchId);
+  const log       = sendWorker.log;
+  const queued    = waiter.waiting.size;
+  const embargoed = waiter.deferred;
+  const sent      = waiter.total - queued - embargoed;
+  log.info(
+    `⏱️  [${waiter.label}] Delivery: ${((Date.now() - waiter.startTime) / 1000).toFixed(1)}s | ${waiter.successCount}/${sent} OK` +
+    `${queued ? ` | ${queued} still queued` : ""}${embargoed ? ` | ${embargoed} embargoed` : ""}`
+  );
+  waiter.resolve({ successCount: waiter.successCount, totalTargets: waiter.total, queued, embargoed });
+}
+
+function settleJob(job, ok) {
+  const waiter = batchWaiters.get(job.batchId);
+  if (!waiter?.waiting.delete(job.id)) return; // resumed/embargoed job — nobody waiting
+  if (ok) waiter.successCount++;
+  if (waiter.waiting.size === 0) finishBatch(job.batchId, waiter);
+}
+
+// Worker paused (connection closed / circuit breaker open): hand every waiting
+// batch back to its caller. Their remaining jobs stay queued and go out later.
+function releaseBatchWaiters() {
+  for (const [batchId, waiter] of batchWaiters) finishBatch(batchId, waiter);
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Idle wait until the next embargoed job is due; sendWorker.wake() ends it early
+function idleUntil(dueAt) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      sendWorker.wake = null;
+      resolve();
+    };
+    const timer = setTimeout(done, Math.max(dueAt - Date.now(), 0));
+    sendWorker.wake = done;
+  });
+}
+
+// A1 typing delay before a batch's first job, A5 gap / random pause otherwise
+function getPacingDelay(job, log) {
+  if (job.batchId !== sendWorker.lastBatchId) {
+    const typingDelay = getTypingDelay(job.text.length);
+    log.info(`⌨️  Typing: ${(typingDelay / 1000).toFixed(1)}s`);
+    return typingDelay;
+  }
+  if (Math.random() < GLOBAL_CONFIG.humanBehavior.randomPauseChance) {
+    const pause = getRandomDelay(
+      GLOBAL_CONFIG.humanBehavior.randomPauseMin,
+      GLOBAL_CONFIG.humanBehavior.randomPauseMax
+    );
+    log.info(`☕ Random pause: ${(pause / 1000).toFixed(1)}s`);
+    return pause;
+  }
+  const gap = getWeightedDelay(
+    GLOBAL_CONFIG.humanBehavior.betweenMin,
+    GLOBAL_CONFIG.humanBehavior.betweenMax,
+    GLOBAL_CONFIG.humanBehavior.betweenWeight
+  );
+  log.info(`⏳ Gap: ${(gap / 1000).toFixed(1)}s`);
+  return gap;
+}
+
+// One send with the 15s timeout and a single retry. Returns true on success.
+async function sendQueuedJob(sock, job, stats, log) {
+  const { groupId, text } = job;
+  const shortId = groupId.substring(0, 18);
+
+  inFlightSends.set(groupId, Date.now());
+  const sendStart = Date.now();
+
+  try {
+    await Promise.race([
+      sock.sendMessage(groupId, { text }),
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error("Timeout 15s")), 15_000)
+      ),
+    ]);
+    log.info(`✅ → ${shortId}... (${((Date.now() - sendStart) / 1000).toFixed(2)}s)`);
+    return true;
+
+  } catch (error) {
+    if (error.message.includes("Timeout")) {
+      // Single retry on timeout
+      try {
+        await sleep(1_000);
+        await sock.sendMessage(groupId, { text });
+        log.info(`✅ → ${shortId}... (retry OK)`);
+        return true;
+      } catch (retryErr) {
+        log.error(`❌ → ${shortId}... FAILED (retry) ${retryErr.message}`);
+      }
+    } else {
+      log.error(`❌ → ${shortId}... ${error.message}`);
+    }
+    handleSendFailure(log);
+    stats.sendFailures++;
+    inFlightSends.delete(groupId); // clear stuck cooldown on failure
+    return false;
+  }
+}
+
+async function drainSendQueue() {
+  if (sendWorker.running) {
+    sendWorker.wake?.(); // new jobs may be due before the embargo the worker is waiting out
+    return;
+  }
+  sendWorker.running = true;
+  const queue = sendWorker.queue;
 
-async function sendToMultipleGroupsSequential(sock, targets, text, label, stats, log, sentGroups = null) {
+  try {
+    while (queue.size > 0 && !sendWorker.suspended) {
+      const { sock, stats, log, config } = sendWorker;
+      const job = queue.peek();
+      if (!job) {
+        // Only embargoed jobs left — sleep until the first is due (or new jobs arrive)
+        await idleUntil(queue.nextDueAt());
+        continue;
+      }
+      const shortId = job.groupId.substring(0, 18);
+
+      // Max-age cutoff: a ride that couldn't go out in time is stale (embargo excluded)
+      const age = Date.now() - (job.notBefore ?? job.createdAt);
+      if (age > GLOBAL_CONFIG.sendQueue.maxAgeMs) {
+        queue.complete(job.id);
+        stats.queueExpired = (stats.queueExpired || 0) + 1;
+        log.warn(`⌛ [${job.label}] ${shortId}... dropped from queue — ${Math.round(age / 1000)}s old`);
+        releaseTargetSend(job);
+        settleJob(job, false);
+        continue;
+      }
+
+      if (circuitBreaker.isOpen) {
+        releaseBatchWaiters();
+        await sleep(GLOBAL_CONFIG.sendQueue.pausePollMs);
+        continue;
+      }
+
+      if (Date.now() < sendWorker.notBefore) {
+        await sleep(sendWorker.notBefore - Date.now());
+        continue;
+      }
+
+      // Pacing first, then whatever is left of this group's send cooldown
+      await sleep(getPacingDelay(job, log));
+      const lastSend = inFlightSends.get(job.groupId);
+      const cooldownLeft = lastSend ? lastSend + GLOBAL_CONFIG.deduplication.sendCooldown - Date.now() : 0;
+      if (cooldownLeft > 0) await sleep(cooldownLeft);
+      sendWorker.lastBatchId = job.batchId;
+
+      // Connection dropped (or breaker opened) while we waited — send on the next pass
+      if (sendWorker.suspended || circuitBreaker.isOpen) continue;
+
+      const ok = await sendQueuedJob(sock, job, stats, log);
+      if (!ok && sendWorker.suspended) break; // socket died under us — keep the job for resume
+
+      queue.complete(job.id);
+      if (ok) {
+        handleSendSuccess();
+        stats.sendSuccesses++;
+        stats.sendsByGroup[job.groupId] = (stats.sendsByGroup[job.groupId] || 0) + 1;
+        recordTargetSend(job, config);
+      } else {
+        releaseTargetSend(job);
+      }
+      settleJob(job, ok);
+    }
+  } catch (err) {
+    sendWorker.log?.error(`❌ Send queue worker error: ${err.message}`);
+  } finally {
+    sendWorker.running = false;
+  }
+
+  if (sendWorker.suspended) releaseBatchWaiters();
+}
+
+/**
+ * (Re)attach the worker to a freshly opened socket and drain whatever is
+ * queued — including jobs journaled before a restart. Call on connection open.
+ */
+export function resumeSendQueue(sock, config, stats, log) {
+  const queue = getSendQueue(config, log);
+  Object.assign(sendWorker, { sock, config, stats, log, suspended: false, lastBatchId: null });
+
+  if (queue.size > 0) {
+    const settling = getRandomDelay(GLOBAL_CONFIG.reconnect.settlingMin, GLOBAL_CONFIG.reconnect.settlingMax);
+    sendWorker.notBefore = Date.now() + settling;
+    if (queue.restored > 0 && !sendWorker.restoredLogged) {
+      sendWorker.restoredLogged = true;
+      stats.queueResumed = (stats.queueResumed || 0) + queue.restored;
+      log.info(`📬 Send queue: ${queue.restored} job(s) left from before the restart — resuming in ${(settling / 1000).toFixed(1)}s`);
+    } else {
+      log.info(`📬 Send queue: ${queue.size} pending job(s) — resuming in ${(settling / 1000).toFixed(1)}s`);
+    }
+  }
+  drainSendQueue();
+}
+
+/** Connection closed: stop sending, keep every pending job for resumeSendQueue(). */
+export function suspendSendQueue(log) {
+  sendWorker.suspended = true;
+  sendWorker.sock      = null;
+  sendWorker.wake?.();
+  if (sendWorker.queue?.size) log?.info(`📪 Send queue suspended — ${sendWorker.queue.size} job(s) held`);
+  if (!sendWorker.running) releaseBatchWaiters();
+}
+
+/** Queue snapshot for /stats: pending jobs, oldest job age, pending per group. */
+export function getSendQueueStatus() {
+  const jobs = sendWorker.queue?.pending() || [];
+  const byGroup = {};
+  for (const job of jobs) byGroup[job.groupId] = (byGroup[job.groupId] || 0) + 1;
+  return {
+    pending:       jobs.length,
+    oldestAgeSec:  jobs.length ? Math.round((Date.now() - jobs[0].createdAt) / 1000) : null,
+    suspended:     sendWorker.suspended,
+    maxAgeSec:     GLOBAL_CONFIG.sendQueue.maxAgeMs / 1000,
+    byGroup,
+  };
+}
+
+// textFor(groupId) → the text that group receives (buildTargetText: per-target
+// transform + branding), or null to skip the group. ride + config (optional)
+// enable the per-target settings (config.targetSettings): groups whose accept
+// filter turns the ride down, or whose quota is used up, are skipped before
+// queueing.
+//
+// Resolves once every job of the batch that is due now was sent or failed, or
+// early when the worker pauses (connection closed, circuit breaker open) —
+// `queued` then counts the jobs still waiting in the queue; they are delivered
+// on resume. `embargoed` counts the jobs held back by tierEmbargoMinutes.
+async function sendToMultipleGroupsSequential(sock, targets, textFor, label, stats, log, sentGroups = null, ride = null, config = null) {
   if (circuitBreaker.isOpen) {
     log.warn("🔴 Circuit breaker OPEN — aborting send");
-    return { successCount: 0, totalTargets: targets.length };
+    return { successCount: 0, totalTargets: targets.length, queued: 0, embargoed: 0 };
   }
 
-  if (targets.length === 0) {
-    log.warn(`⏭️  [${label}] No targets`);
-    return { successCount: 0, totalTargets: 0 };
-  }
+  targets = filterTargetsBySettings(targets, ride, config, stats, log, label);
 
   // Filter out groups already sent to in this message's routing cycle
   const dedupedTargets = sentGroups
@@ -223,271 +867,466 @@ async function sendToMultipleGroupsSequential(sock, targets, text, label, stats,
     log.info(`[${label}] Skipped ${targets.length - dedupedTargets.length} target(s) already sent by another pipeline`);
   }
 
-  const now          = Date.now();
-  const readyTargets = dedupedTargets.filter((id) => {
-    const lastSend = inFlightSends.get(id);
-    return !lastSend || now - lastSend >= GLOBAL_CONFIG.deduplication.sendCooldown;
-  });
-
-  if (readyTargets.length === 0) {
-    log.warn(`⏭️  [${label}] All targets in cooldown`);
-    return { successCount: 0, totalTargets: 0 };
+  if (dedupedTargets.length === 0) {
+    log.warn(`⏭️  [${label}] No targets`);
+    return { successCount: 0, totalTargets: 0, queued: 0, embargoed: 0 };
   }
 
-  log.info(`📤 [${label}] Sending to ${readyTargets.length} target(s)...`);
+  const queue = getSendQueue(config, log);
+  if (!sendWorker.suspended) Object.assign(sendWorker, { sock, stats, log, ...(config && { config }) });
 
-  let successCount   = 0;
-  const startTime    = Date.now();
+  // textFor → null: the group's phone transform left a number visible (skipped)
+  const texts = new Map(dedupedTargets.map((groupId) => [groupId, textFor(groupId)]));
+  const sendable = dedupedTargets.filter((groupId) => texts.get(groupId) !== null);
+  if (sendable.length === 0) {
+    log.warn(`⏭️  [${label}] No targets`);
+    return { successCount: 0, totalTargets: 0, queued: 0, embargoed: 0 };
+  }
 
-  for (let i = 0; i < readyTargets.length; i++) {
-    if (circuitBreaker.isOpen) {
-      log.warn("🔴 Circuit breaker opened mid-send — stopping");
-      break;
-    }
+  const batchId   = `${Date.now().toString(36)}-${(++batchCounter).toString(36)}`;
+  const createdAt = Date.now();
+  const jobs = sendable.map((groupId, i) => {
+    const embargoMs = getTierEmbargoMs(groupId, config);
+    return {
+      id: `${batchId}-${i}`, batchId, groupId, text: texts.get(groupId), label, createdAt,
+      ...(embargoMs > 0 && { notBefore: createdAt + embargoMs }),
+    };
+  });
+  if (sentGroups) sendable.forEach((groupId) => sentGroups.add(groupId));
+  jobs.forEach((job) => reserveTargetSend(job, config));
 
-    const groupId = readyTargets[i];
-    const shortId = groupId.substring(0, 18);
+  const deferred = jobs.filter((job) => job.notBefore);
+  log.info(
+    `📤 [${label}] Queued ${jobs.length} target(s)${queue.size ? ` behind ${queue.size} pending` : ""}` +
+    `${deferred.length ? ` — ${deferred.length} embargoed (${formatEmbargoes(deferred, config)})` : ""}...`
+  );
 
-    // A1: Typing delay before first message only
-    if (i === 0) {
-      const typingDelay = getTypingDelay(text.length);
-      log.info(`⌨️  Typing: ${(typingDelay / 1000).toFixed(1)}s`);
-      await new Promise((r) => setTimeout(r, typingDelay));
-    }
+  const done = new Promise((resolve) => {
+    batchWaiters.set(batchId, {
+      label, successCount: 0, total: jobs.length, deferred: deferred.length, startTime: createdAt, resolve,
+      waiting: new Set(jobs.filter((job) => !job.notBefore).map((job) => job.id)),
+    });
+  });
+  queue.add(jobs);
+  if (deferred.length === jobs.length) finishBatch(batchId, batchWaiters.get(batchId));
 
-    // A5: Between-group gap for messages 2+
-    if (i > 0) {
-      if (Math.random() < GLOBAL_CONFIG.humanBehavior.randomPauseChance) {
-        const pause = getRandomDelay(
-          GLOBAL_CONFIG.humanBehavior.randomPauseMin,
-          GLOBAL_CONFIG.humanBehavior.randomPauseMax
-        );
-        log.info(`☕ Random pause: ${(pause / 1000).toFixed(1)}s`);
-        await new Promise((r) => setTimeout(r, pause));
-      } else {
-        const gap = getWeightedDelay(
-          GLOBAL_CONFIG.humanBehavior.betweenMin,
-          GLOBAL_CONFIG.humanBehavior.betweenMax,
-          GLOBAL_CONFIG.humanBehavior.betweenWeight
-        );
-        log.info(`⏳ Gap: ${(gap / 1000).toFixed(1)}s`);
-        await new Promise((r) => setTimeout(r, gap));
-      }
-    }
+  if (sendWorker.suspended) releaseBatchWaiters();
+  else drainSendQueue();
+  return done;
+}
 
-    inFlightSends.set(groupId, Date.now());
-    const sendStart = Date.now();
-
-    try {
-      await Promise.race([
-        sock.sendMessage(groupId, { text }),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error("Timeout 15s")), 15_000)
-        ),
-      ]);
-
-      log.info(`✅ → ${shortId}... (${((Date.now() - sendStart) / 1000).toFixed(2)}s)`);
-      handleSendSuccess();
-      stats.sendSuccesses++;
-      stats.sendsByGroup[groupId] = (stats.sendsByGroup[groupId] || 0) + 1;
-      successCount++;
-      if (sentGroups) sentGroups.add(groupId);
-
-    } catch (error) {
-      if (error.message.includes("Timeout")) {
-        // Single retry on timeout
-        try {
-          await new Promise((r) => setTimeout(r, 1_000));
-          await sock.sendMessage(groupId, { text });
-          log.info(`✅ → ${shortId}... (retry OK)`);
-          handleSendSuccess();
-          stats.sendSuccesses++;
-          stats.sendsByGroup[groupId] = (stats.sendsByGroup[groupId] || 0) + 1;
-          successCount++;
-          if (sentGroups) sentGroups.add(groupId);
-        } catch (retryErr) {
-          log.error(`❌ → ${shortId}... FAILED (retry) ${retryErr.message}`);
-          handleSendFailure(log);
-          stats.sendFailures++;
-          inFlightSends.delete(groupId); // clear stuck cooldown on retry fail
-        }
-      } else {
-        log.error(`❌ → ${shortId}... ${error.message}`);
-        handleSendFailure(log);
-        stats.sendFailures++;
-        inFlightSends.delete(groupId); // clear stuck cooldown on direct fail
-      }
-    }
+/**
+ * Whether a ride counts as routed: something was sent, or jobs are still
+ * queued (connection dropped mid-fan-out) or embargoed — those are delivered
+ * later, so the fingerprint must stay committed. Rides with nothing sent YET
+ * because every target is embargoed are counted in stats.ridesEmbargoed.
+ */
+function isRoutedDelivery({ successCount, queued, embargoed }, stats) {
+  if (successCount === 0 && queued === 0 && embargoed > 0) {
+    stats.ridesEmbargoed = (stats.ridesEmbargoed || 0) + 1;
   }
+  return successCount > 0 || queued > 0 || embargoed > 0;
+}
 
-  log.info(`⏱️  [${label}] Delivery: ${((Date.now() - startTime) / 1000).toFixed(1)}s | ${successCount}/${readyTargets.length} OK`);
-  return { successCount, totalTargets: readyTargets.length };
+// " (+2 queued, 1 embargoed)" for the DONE log line
+function formatPendingDelivery({ queued, embargoed }) {
+  const parts = [queued && `${queued} queued`, embargoed && `${embargoed} embargoed`].filter(Boolean);
+  return parts.length ? ` (+${parts.join(", ")})` : "";
 }
 
 // =============================================================================
-// PATH A — Source group → Paid[] + City + Free (WITH PROCESSING DELAY)
+// RIDE PIPELINE — gates, then the first matching routing rule (WITH PROCESSING DELAY)
 // =============================================================================
+// Path A (source group) and Path B (freeCommonGroup) share the gates; where the
+// ride goes is decided by the rules (routingRules.js). The default rules PathA
+// and PathB reproduce the old hard-coded topologies.
+
+// One ride: gates → rate limit → processing delay → send
+async function processRide(sock, text, sourceGroup, isPathA, config, stats, log, sentGroups) {
+  const check = checkRide(text, sourceGroup, isPathA, config, stats, log);
+  const { ride } = check;
+  if (!check.rule) return { wasRouted: false, ride };
+
+  // Gate 5: Rate limit
+  if (isRateLimited(log)) {
+    stats.rejectedRateLimit = (stats.rejectedRateLimit || 0) + 1;
+    return { wasRouted: false, ride };
+  }
+
+  await applyProcessingDelay(check.rule, isPathA, log);
+  return { ...(await routeRide(sock, ride, sourceGroup, isPathA, check, config, stats, log, sentGroups)), ride };
+}
+
+// Gates 1–4 (no delays, nothing sent): { ride, rule, supplyAction } when the
+// ride may be routed, {} or { ride } when a gate dropped it (counted in stats).
+// The text-only gates come first: the ride is parsed and logged only once
+// they pass.
+function checkRide(text, sourceGroup, isPathA, config, stats, log) {
+  const P = isPathA ? "A" : "B";
 
-async function processPathA(sock, text, sourceGroup, config, stats, log, sentGroups) {
   // ═══════════════════════════════════════════════════════════════════════════
   // VALIDATION CHECKS (fast — no delays yet)
   // ═══════════════════════════════════════════════════════════════════════════
 
   // Gate 1: Blocked number
   if (containsBlockedNumber(text, config.blockedPhoneNumbers)) {
-    log.warn(`🚫 BLOCKED NUMBER (Path A)`);
+    log.warn(`🚫 BLOCKED NUMBER (Path ${P})`);
     stats.rejectedBlockedNumber++;
-    return { wasRouted: false };
+    return {};
   }
 
   // Gate 2: Taxi request filter
-  if (!isTaxiRequest(text, config.requestKeywords, config.ignoreIfContains, config.blockedPhoneNumbers)) {
-    log.info(`❌ NOT TAXI REQUEST (Path A)...`);
-    stats.rejectedNotTaxi++;
-    return { wasRouted: false };
+  const taxiScore = scoreTaxiRequest(
+    text, config.requestKeywords, config.ignoreIfContains, config.blockedPhoneNumbers, config.taxiScoring
+  );
+  if (!taxiScore.isTaxi) {
+    log.info(
+      `❌ NOT TAXI REQUEST (Path ${P}) — ${taxiScore.rejectReason} | score ${taxiScore.score}/${taxiScore.threshold}` +
+      `${taxiScore.reasons.length ? ` | ${formatTaxiReasons(taxiScore.reasons)}` : ""}`
+    );
+    countNotTaxi(stats, taxiScore);
+    return {};
   }
+  log.info(`✅ TAXI score ${taxiScore.score}/${taxiScore.threshold} | ${formatTaxiReasons(taxiScore.reasons)}`);
 
   // Gate 3: Phone number required
   if (!hasPhoneNumber(text)) {
     const phonePattern    = /(\+?\d[\d\s\-().]{6,}\d)/g;
     const potentialPhones = text.match(phonePattern);
     if (potentialPhones) {
-      log.warn(`📵 NO VALID PHONE (Path A) — found: [${potentialPhones.join(", ")}] | ${text.substring(0, 40)}...`);
+      log.warn(`📵 NO VALID PHONE (Path ${P}) — found: [${potentialPhones.join(", ")}] | ${text.substring(0, 40)}...`);
     } else {
-      log.warn(`📵 NO PHONE (Path A) | ${text.substring(0, 40)}...`);
+      log.warn(`📵 NO PHONE (Path ${P}) | ${text.substring(0, 40)}...`);
     }
     stats.rejectedNoPhone++;
-    return { wasRouted: false };
+    return {};
   }
 
-  // Gate 4: Rate limit
-  if (isRateLimited(log)) {
-    stats.rejectedRateLimit = (stats.rejectedRateLimit || 0) + 1;
-    return { wasRouted: false };
+  // Parse ONCE — the remaining gates, the target builder and logRide read this object
+  const ride = parseRideForBot(text, config);
+  logParsedRide(ride, log);
+
+  // Gate 3b: Supply post ("vehicle available") — drop unless forwarded/routed.
+  // Path B forwards it only when action is "forward" ("route" is Path A's job:
+  // the supply group is fed from the source groups)
+  const supplyAction = getSupplyAction(ride, config, isPathA);
+  if (supplyAction === "drop") {
+    log.info(`🚗 SUPPLY POST dropped (Path ${P}) | ${text.substring(0, 40)}...`);
+    stats.rejectedSupplyPost = (stats.rejectedSupplyPost || 0) + 1;
+    return { ride };
   }
 
-  // ═══════════════════════════════════════════════════════════════════════════
-  // ✅ ALL VALIDATIONS PASSED — Apply processing delay NOW (optimization)
-  // ═══════════════════════════════════════════════════════════════════════════
-  log.info(`✅ PATH A VALIDATION PASSED | Applying processing delay...`);
-  
-  const processingDelay = Math.floor(Math.random() * (7000 - 2000)) + 2000; // 2-7s
+  // Gate 4: Routing rule (first match wins; rules.json, then PathA/PathB)
+  const rule = findRule(getRoutingRules(config), { sourceGroup, isPathA, ride });
+  if (!rule) {
+    log.info(`🧭 NO ROUTING RULE matched (Path ${P}) | ${text.substring(0, 40)}...`);
+    stats.rejectedNoRule = (stats.rejectedNoRule || 0) + 1;
+    return { ride };
+  }
+  log.info(`🧭 Rule: ${describeRule(rule)}`);
+  return { ride, rule, supplyAction };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ✅ ALL VALIDATIONS PASSED — Apply processing delay NOW (optimization)
+// ═══════════════════════════════════════════════════════════════════════════
+async function applyProcessingDelay(rule, isPathA, log) {
+  log.info(`✅ PATH ${isPathA ? "A" : "B"} VALIDATION PASSED | Applying processing delay (${rule.action.delay.name})...`);
+
+  const { minMs, maxMs } = rule.action.delay;
+  const processingDelay = Math.floor(Math.random() * (maxMs - minMs)) + minMs; // normal: 2-7s
   log.info(`⏳ Processing delay: ${(processingDelay / 1000).toFixed(1)}s`);
-  await new Promise((r) => setTimeout(r, processingDelay));
-
-  // City extraction (pickup-only, Bot-1 logic preserved)
-  const detectedCity = extractPickupCity(text, config.configuredCities);
-  const cityGroupId  = detectedCity ? config.cityTargetGroups[detectedCity] : null;
-
-  log.info(`🔀 PATH A ROUTING | City: ${detectedCity || "none"} | Source: ${sourceGroup.substring(0, 18)}...`);
-
-  // Build targets: paid[] + city (if found) + free
-  const targets  = [
-    ...config.paidCommonGroupId,
-    ...(cityGroupId ? [cityGroupId] : []),
-    config.freeCommonGroupId,
-  ];
-  const activeTargets = filterDisabledTargets(
-    [...new Set(targets)], config.runtime, log, `PathA-${detectedCity || "noCity"}`
+  if (processingDelay > 0) await new Promise((r) => setTimeout(r, processingDelay));
+}
+
+// Targets, queueing and the DONE log for a ride that passed checkRide
+async function routeRide(sock, ride, sourceGroup, isPathA, { rule, supplyAction }, config, stats, log, sentGroups) {
+  const { text } = ride;
+  const P = isPathA ? "A" : "B";
+
+  // Supply post → "vehicles available" group(s) only; never paid/city/free
+  if (supplyAction === "route") {
+    log.info(`🚗 PATH A SUPPLY POST → ${config.supplyPosts.targetGroups.length} vehicles-available group(s)`);
+    const activeTargets = filterDisabledTargets(
+      [...new Set(config.supplyPosts.targetGroups)], config.runtime, log, "PathA-supply"
+    );
+    const delivery = await sendToMultipleGroupsSequential(
+      sock, orderTargetsByTier(activeTargets, config), (groupId) => buildTargetText(ride, groupId, rule, config, stats, log), "PathA-supply", stats, log, sentGroups, ride, config
+    );
+    const wasRouted = isRoutedDelivery(delivery, stats);
+    if (wasRouted) stats.supplyPostsRouted = (stats.supplyPostsRouted || 0) + 1;
+    log.info(`✅ PATH A SUPPLY DONE: ${delivery.successCount}/${activeTargets.length}${formatPendingDelivery(delivery)}`);
+    return { wasRouted, rule: rule.name };
+  }
+
+  // City routing (pickup city, Bot-1 logic preserved — resolved by parseRide)
+  const { detectedCity, dropGroupId, regionGroups, vehicleGroups, targets } = buildRuleTargets(rule, ride, config, log);
+
+  if (targets.length === 0) {
+    log.warn(`🏙️  PATH ${P} [${rule.name}] — No city detected, message dropped | ${text.substring(0, 40)}...`);
+    stats.rejectedNoCity = (stats.rejectedNoCity || 0) + 1;
+    return { wasRouted: false, rule: rule.name };
+  }
+
+  log.info(
+    `🔀 PATH ${P} ROUTING [${rule.name}] | City: ${detectedCity || "none"}` +
+    `${dropGroupId ? ` + drop ${ride.routeDropCity}` : ""}` +
+    `${regionGroups.length ? ` + region ${ride.pickupRegion} (${regionGroups.length})` : ""}` +
+    `${vehicleGroups.length ? ` + vehicle ${ride.vehicleClass} (${vehicleGroups.length})` : ""}` +
+    ` | Source: ${sourceGroup.substring(0, 18)}...`
   );
-  const shuffled = shuffleArray(activeTargets);
 
-  const { successCount } = await sendToMultipleGroupsSequential(
-    sock, shuffled, applyBranding(text, config), `PathA-${detectedCity || "noCity"}`, stats, log, sentGroups
+  const label = `${rule.name}-${detectedCity || "noCity"}`;
+  const activeTargets = filterDisabledTargets(targets, config.runtime, log, label);
+  const shuffled = orderTargetsByTier(activeTargets, config); // A3 within paid → city → free
+
+  const delivery = await sendToMultipleGroupsSequential(
+    sock, shuffled, (groupId) => buildTargetText(ride, groupId, rule, config, stats, log), label, stats, log, sentGroups, ride, config
   );
 
-  if (successCount > 0) logRide(config, extractPickupCity(text, ALL_CITIES));
-  log.info(`✅ PATH A DONE: ${successCount}/${shuffled.length} | City: ${detectedCity || "none"} | ${rateLimitTimestamps.hourly.length}/${GLOBAL_CONFIG.rateLimits.hourly}h`);
-  return { wasRouted: successCount > 0 };
+  const wasRouted = isRoutedDelivery(delivery, stats);
+  if (wasRouted) {
+    logRide(config, ride);
+    stats.routedByRule = stats.routedByRule || {};
+    stats.routedByRule[rule.name] = (stats.routedByRule[rule.name] || 0) + 1;
+  }
+  log.info(`✅ PATH ${P} DONE: ${delivery.successCount}/${shuffled.length}${formatPendingDelivery(delivery)} | City: ${detectedCity || "none"} | ${rateLimitTimestamps.hourly.length}/${GLOBAL_CONFIG.rateLimits.hourly}h`);
+  return { wasRouted, rule: rule.name };
 }
 
 // =============================================================================
-// PATH B — Free common group → Paid[] + City (WITH PROCESSING DELAY)
+// EXPLAIN — dry run of the gate sequence (scripts/explain.js)
+//
+// Same checks, same order and same target builders as handleMessage →
+// processRide, but nothing is sent, counted or delayed. Stateful checks
+// (dedup caches, rate limit) are reported as "skipped".
 // =============================================================================
 
-async function processPathB(sock, text, config, stats, log, sentGroups) {
-  // ═══════════════════════════════════════════════════════════════════════════
-  // VALIDATION CHECKS (fast — no delays yet)
-  // ═══════════════════════════════════════════════════════════════════════════
+/** parseRide with the bot's city list and matching/scheduling settings. */
+export function parseRideForBot(text, config) {
+  return parseRide(text, config.configuredCities, {
+    fuzzy:            config.cityMatching?.fuzzy,
+    scheduledAfterMs: config.scheduling?.scheduledAfterMs,
+  });
+}
 
-  // Gate 1: Blocked number
-  if (containsBlockedNumber(text, config.blockedPhoneNumbers)) {
-    log.warn(`🚫 BLOCKED NUMBER (Path B)`);
-    stats.rejectedBlockedNumber++;
-    return { wasRouted: false };
+/**
+ * @param {string} text
+ * @param {Object} config  - Merged bot config (configLoader), runtime optional
+ * @param {Object} [options]
+ * @param {boolean} [options.isPathA=true] - false = message came from freeCommonGroup
+ * @param {string}  [options.sender]       - Sender phone, for the blocked-sender check
+ * @param {boolean} [options.split=true]   - Path A: explain multi-ride posts per segment
+ * @param {string}  [options.sourceGroup]  - Group the message came from, for rules that
+ *                                           match group IDs (default: first source group / free)
+ * @returns {{ path: "A"|"B", wouldRoute: boolean, stoppedAt: string|null, rule: string|null,
+ *             steps: Array<{ gate: string, result: "pass"|"fail"|"skip", detail: string }>,
+ *             ride: Object|null, taxiScore: Object|null, targets: string[],
+ *             notAccepted?: Array<{ groupId, reason }>,    targets whose accept filter refused the ride
+ *             segments?: Array<Object> }}  segments: one explain result per ride (multi-ride only)
+ */
+export function explainMessage(text, config, { isPathA = true, sender = "", split = true, sourceGroup } = {}) {
+  const path  = isPathA ? "A" : "B";
+  const steps = [];
+  const out   = { path, wouldRoute: false, stoppedAt: null, rule: null, steps, ride: null, taxiScore: null, targets: [] };
+  sourceGroup = sourceGroup || (isPathA ? config.sourceGroupIds?.[0] : config.freeCommonGroupId) || "";
+  const step  = (gate, result, detail) => {
+    steps.push({ gate, result, detail });
+    if (result === "fail") out.stoppedAt = gate;
+    return result !== "fail";
+  };
+
+  if (!step("emptyBody", text && text.trim() ? "pass" : "fail", text && text.trim() ? "has text" : "empty message")) {
+    return out;
   }
 
-  // Gate 2: Taxi request filter
-  if (!isTaxiRequest(text, config.requestKeywords, config.ignoreIfContains, config.blockedPhoneNumbers)) {
-    log.info(`❌ NOT TAXI REQUEST (Path B)...`);
-    stats.rejectedNotTaxi++;
-    return { wasRouted: false };
+  if (!sender) {
+    step("blockedSender", "skip", "no --sender given");
+  } else {
+    const digits = String(sender).replace(/\D/g, "").slice(-10);
+    const hit = (config.blockedSenders || []).find((blocked) =>
+      blocked instanceof RegExp ? blocked.test(digits) : String(blocked).replace(/\D/g, "").slice(-10) === digits
+    );
+    if (!step("blockedSender", hit ? "fail" : "pass", hit ? `${digits} matches ${hit}` : `${digits} not blocked`)) return out;
   }
 
-  // Gate 3: Phone number required
-  if (!hasPhoneNumber(text)) {
-    const phonePattern    = /(\+?\d[\d\s\-().]{6,}\d)/g;
-    const potentialPhones = text.match(phonePattern);
-    if (potentialPhones) {
-      log.warn(`📵 NO VALID PHONE (Path B) — found: [${potentialPhones.join(", ")}] | ${text.substring(0, 40)}...`);
-    } else {
-      log.warn(`📵 NO PHONE (Path B) | ${text.substring(0, 40)}...`);
-    }
-    stats.rejectedNoPhone++;
-    return { wasRouted: false };
+  const minLength = GLOBAL_CONFIG.validation.minMessageLength;
+  if (!step("minLength", text.length >= minLength ? "pass" : "fail", `${text.length} chars (min ${minLength})`)) return out;
+
+  step("duplicate", "skip", "dedup caches are live bot state");
+
+  if (!step("paused", config.runtime?.paused ? "fail" : "pass", config.runtime?.paused ? "runtime.json paused=true" : "active")) {
+    return out;
   }
 
-  // Gate 4: Rate limit
-  if (isRateLimited(log)) {
-    stats.rejectedRateLimit = (stats.rejectedRateLimit || 0) + 1;
-    return { wasRouted: false };
+  const segments = isPathA && split ? splitRideSegments(text) : [text];
+  if (segments.length > 1) {
+    step("multiRide", "pass", `${segments.length} rides — each routed separately`);
+    out.segments   = segments.map((segment) => explainMessage(segment, config, { isPathA, sender, sourceGroup, split: false }));
+    out.wouldRoute = out.segments.some((s) => s.wouldRoute);
+    out.targets    = [...new Set(out.segments.flatMap((s) => s.targets))];
+    if (!out.wouldRoute) out.stoppedAt = "multiRide";
+    return out;
   }
 
-  // ═══════════════════════════════════════════════════════════════════════════
-  // ✅ ALL VALIDATIONS PASSED — Apply processing delay NOW (optimization)
-  // ═══════════════════════════════════════════════════════════════════════════
-  log.info(`✅ PATH B VALIDATION PASSED | Applying processing delay...`);
-  
-  const processingDelay = Math.floor(Math.random() * (7000 - 2000)) + 2000; // 2-7s
-  log.info(`⏳ Processing delay: ${(processingDelay / 1000).toFixed(1)}s`);
-  await new Promise((r) => setTimeout(r, processingDelay));
+  const ride = parseRideForBot(text, config);
+  out.ride = ride;
 
-  // City extraction (pickup-only, Bot-1 logic preserved)
-  const detectedCity = extractPickupCity(text, config.configuredCities);
-  const cityGroupId  = detectedCity ? config.cityTargetGroups[detectedCity] : null;
+  if (!step("blockedNumber", containsBlockedNumber(text, config.blockedPhoneNumbers) ? "fail" : "pass",
+    ride.phones.length ? ride.phones.join(", ") : "no numbers")) return out;
 
-  if (!cityGroupId) {
-    log.warn(`🏙️  PATH B — No city detected, message dropped | ${text.substring(0, 40)}...`);
-    stats.rejectedNoCity = (stats.rejectedNoCity || 0) + 1;
-    return { wasRouted: false };
+  const taxiScore = scoreTaxiRequest(
+    text, config.requestKeywords, config.ignoreIfContains, config.blockedPhoneNumbers, config.taxiScoring
+  );
+  out.taxiScore = taxiScore;
+  const ignoreHit = taxiScore.reasons.find((r) => r.code === "ignorePhrase");
+  step("ignorePhrase", ignoreHit ? "fail" : "pass", ignoreHit ? ignoreHit.detail : "none matched");
+  if (ignoreHit) return out;
+
+  if (!step("taxiScore", taxiScore.isTaxi ? "pass" : "fail",
+    `${taxiScore.isTaxi ? "" : `${taxiScore.rejectReason} | `}score ${taxiScore.score}/${taxiScore.threshold}` +
+    `${taxiScore.reasons.length ? ` | ${formatTaxiReasons(taxiScore.reasons)}` : ""}`)) return out;
+
+  if (!step("phone", ride.hasPhone ? "pass" : "fail",
+    ride.hasPhone ? ride.phones.join(", ") : "no valid 10-digit number")) return out;
+
+  const supplyAction = getSupplyAction(ride, config, isPathA);
+  if (!step("supplyPost", supplyAction === "drop" ? "fail" : "pass",
+    ride.intent === "supply" ? `supply post → ${supplyAction}` : `${ride.intent} post`)) return out;
+
+  const rule = findRule(getRoutingRules(config), { sourceGroup, isPathA, ride });
+  if (!step("rule", rule ? "pass" : "fail", rule ? describeRule(rule) : "no routing rule matched")) return out;
+  out.rule = rule.name;
+
+  step("rateLimit", "skip", "live send counters (global + per-target quotas)");
+
+  step("pickupCity", ride.routePickupCity ? "pass" : "skip",
+    ride.routePickupCity
+      ? `${ride.routePickupCity}${ride.routeDropCity ? ` → ${ride.routeDropCity}` : ""}` +
+        `${ride.pickupRegion ? ` (region ${ride.pickupRegion})` : ""}`
+      : `no routed city${ride.pickupCity ? ` (${ride.pickupCity} has no target group)` : ""}` +
+        `${ride.pickupRegion ? ` | region ${ride.pickupRegion}` : ""}`);
+
+  let targets;
+  if (isPathA && supplyAction === "route") {
+    targets = [...new Set(config.supplyPosts.targetGroups)];
+  } else {
+    targets = buildRuleTargets(rule, ride, config).targets;
+  }
+  if (targets.length === 0) {
+    step("noCity", "fail", `rule ${rule.name} resolved no target (needs a pickup/drop city or region group)`);
+    return out;
   }
 
-  log.info(`🔀 PATH B ROUTING | City: ${detectedCity}`);
-
-  // Build targets: city only — free is source, do NOT echo back, paid excluded for Path B
-  const targets  = [cityGroupId];
-  const activeTargets = filterDisabledTargets(
-    [...new Set(targets)], config.runtime, log, `PathB-${detectedCity || "noCity"}`
+  const disabled  = config.runtime?.disabledTargets;
+  const enabled   = disabled?.size ? targets.filter((id) => !disabled.has(id)) : targets;
+  const refusals  = enabled
+    .map((id) => [id, getAcceptanceMiss(config.targetSettings?.[id]?.accept, ride)])
+    .filter(([, miss]) => miss);
+  const active    = orderTargetsByTier(
+    enabled.filter((id) => !refusals.some(([refused]) => refused === id)), config, (ids) => ids
   );
-  const shuffled = shuffleArray(activeTargets);
+  out.targets     = active;
+  out.notAccepted = refusals.map(([groupId, reason]) => ({ groupId, reason }));
+  if (!step("targets", active.length ? "pass" : "fail",
+    `${active.length} group(s)` +
+    `${enabled.length < targets.length ? `, ${targets.length - enabled.length} disabled via runtime.json` : ""}` +
+    `${refusals.length ? `, ${refusals.length} not accepted by target filters` : ""}`)) return out;
+
+  const tierCounts = SEND_TIERS
+    .map((tier) => [tier, active.filter((id) => getTargetTier(id, config) === tier).length])
+    .filter(([, count]) => count);
+  const embargoed = active.filter((id) => getTierEmbargoMs(id, config) > 0);
+  step("sendOrder", "pass",
+    tierCounts.map(([tier, count]) => `${tier} ${count}`).join(" → ") +
+    `${embargoed.length ? ` | embargo: ${formatEmbargoes(embargoed, config)}` : ""}`);
+
+  out.wouldRoute = true;
+  return out;
+}
 
-  const { successCount } = await sendToMultipleGroupsSequential(
-    sock, shuffled, applyBranding(text, config), `PathB-${detectedCity || "noCity"}`, stats, log, sentGroups
+// =============================================================================
+// MULTI-RIDE POSTS — Path A, one segment per ride (filter.splitRideSegments)
+// =============================================================================
+
+function logParsedRide(ride, log) {
+  for (const hit of ride.fuzzyMatches) {
+    log.info(`🔎 FUZZY CITY: "${hit.token}" → ${hit.city} (≈ "${hit.alias}", score ${hit.score})`);
+  }
+  log.info(
+    `🧾 Ride: ${ride.pickupCity || "?"} → ${ride.dropCity || "?"} | ` +
+    `${ride.intent} | vehicle=${ride.vehicleClass || "-"} | time=${ride.timeText || "-"}` +
+    `${ride.pickupAt ? ` (${formatIstTime(ride.pickupAt)})` : ""}${ride.scheduled ? " [scheduled]" : ""} | ` +
+    `phones=${ride.phones.length} | conf=${ride.confidence}`
   );
+}
+
+/**
+ * Routes each segment as its own ride: own gates, own city/region targets, own
+ * fingerprint. Segments already forwarded (options.isDuplicateSegment, or
+ * repeated within this post) are skipped.
+ *
+ * The post is still ONE message for pacing: one global rate-limit slot and
+ * one processing delay (the first passing ride's rule), taken once every
+ * segment has been through the gates. Shared targets — paid and free groups —
+ * DO get one message per ride (N rides → N messages): each is a separate
+ * ride a driver can take, with its own template/transform. Hence a fresh
+ * sentGroups per segment.
+ */
+async function processRideSegments(sock, segments, sourceGroup, config, stats, log, options) {
+  stats.multiRideMessages = (stats.multiRideMessages || 0) + 1;
+  log.info(`✂️  Multi-ride message → ${segments.length} rides`);
+
+  const results  = [];
+  const accepted = []; // [result, check] for the rides that passed the gates
+  const seenHere = new Set();
+  for (const [i, segment] of segments.entries()) {
+    const fingerprint = getMessageFingerprint(segment);
+    log.info(`✂️  Ride ${i + 1}/${segments.length} | ${segment.split("\n")[0].substring(0, 50)} | FP: ${fingerprint}`);
+
+    if (seenHere.has(fingerprint) || options.isDuplicateSegment?.(fingerprint, segment)) {
+      stats.duplicateSegmentsSkipped = (stats.duplicateSegmentsSkipped || 0) + 1;
+      log.info(`🔁 Ride ${i + 1}/${segments.length} already forwarded — skipped`);
+      results.push({ fingerprint, wasRouted: false, duplicate: true, ride: null });
+      continue;
+    }
+    seenHere.add(fingerprint);
 
-  if (successCount > 0) logRide(config, extractPickupCity(text, ALL_CITIES));
-  log.info(`✅ PATH B DONE: ${successCount}/${shuffled.length} | City: ${detectedCity || "none"} | ${rateLimitTimestamps.hourly.length}/${GLOBAL_CONFIG.rateLimits.hourly}h`);
-  return { wasRouted: successCount > 0 };
+    const check  = checkRide(segment, sourceGroup, true, config, stats, log);
+    const result = { fingerprint, wasRouted: false, duplicate: false, ride: check.ride || null };
+    results.push(result);
+    if (check.rule) accepted.push([result, check]);
+  }
+
+  // Gate 5 + processing delay, once for the whole post
+  if (accepted.length > 0 && isRateLimited(log)) {
+    stats.rejectedRateLimit = (stats.rejectedRateLimit || 0) + 1;
+    accepted.length = 0;
+  }
+  if (accepted.length > 0) await applyProcessingDelay(accepted[0][1].rule, true, log);
+
+  for (const [result, check] of accepted) {
+    ({ wasRouted: result.wasRouted } = await routeRide(sock, result.ride, sourceGroup, true, check, config, stats, log, new Set()));
+    if (result.wasRouted) stats.segmentsRouted = (stats.segmentsRouted || 0) + 1;
+  }
+
+  const routed = results.filter((r) => r.wasRouted);
+  log.info(`✂️  Multi-ride done: ${routed.length}/${segments.length} ride(s) routed`);
+  return { wasRouted: routed.length > 0, path: "A", ride: routed[0]?.ride, segments: results };
 }
 
 // =============================================================================
 // MAIN EXPORT (receives pre-extracted text from index.js)
 //
-// Signature: processMessage(sock, text, sourceGroup, isPathA, config, stats, log)
-// Returns:   { wasRouted: boolean, path: "A"|"B"|"none" }
+// Signature: processMessage(sock, text, sourceGroup, isPathA, config, stats, log, options)
+//   options.isDuplicateSegment(fingerprint, segmentText) → true skips an already-forwarded
+//   ride segment of a multi-ride post
+// Returns:   { wasRouted: boolean, path: "A"|"B"|"none", ride?: Ride,  (unset when a
+//              text-only gate — blocked number, taxi score, phone — dropped it)
+//              segments?: [{ fingerprint, wasRouted, duplicate, ride }] }  (multi-ride only)
 // =============================================================================
 
-export async function processMessage(sock, text, sourceGroup, isPathA, config, stats, log) {
+export async function processMessage(sock, text, sourceGroup, isPathA, config, stats, log, options = {}) {
   try {
     if (!text || text.trim() === "") {
       log.warn(`⚠️  processMessage called with empty text — skipping`);
@@ -508,14 +1347,17 @@ export async function processMessage(sock, text, sourceGroup, isPathA, config, s
 
     const sentGroups = new Set(); // Cross-pipeline dedup: skip groups already sent to
 
+    // Path A multi-ride posts: every ride segment is routed on its own
     if (isPathA) {
-      const result = await processPathA(sock, text, sourceGroup, config, stats, log, sentGroups);
-      return { ...result, path: "A" };
+      const segments = splitRideSegments(text);
+      if (segments.length > 1) {
+        return await processRideSegments(sock, segments, sourceGroup, config, stats, log, options);
+      }
     }
 
-    // Path B — freeCommonGroup
-    const result = await processPathB(sock, text, config, stats, log, sentGroups);
-    return { ...result, path: "B" };
+    // Path A = source group, Path B = freeCommonGroup; the rules pick the targets
+    const result = await processRide(sock, text, sourceGroup, isPathA, config, stats, log, sentGroups);
+    return { ...result, path: isPathA ? "A" : "B" };
 
   } catch (error) {
     log.error(`❌ Router error: ${error.message}`);
@@ -524,11 +1366,12 @@ export async function processMessage(sock, text, sourceGroup, isPathA, config, s
 }
 
 // =============================================================================
-// CLEANUP — purge stale cooldown entries every 30s
+// CLEANUP — purge stale cooldown entries + expired quota timestamps every 30s
 // =============================================================================
 setInterval(() => {
   const now = Date.now();
   for (const [groupId, timestamp] of inFlightSends.entries()) {
     if (now - timestamp > 30_000) inFlightSends.delete(groupId);
   }
+  for (const groupId of targetSendTimestamps.keys()) getTargetSends(groupId, now);
 }, 30_000);
\ No newline at end of file
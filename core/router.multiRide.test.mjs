@@ -0,0 +1,63 @@
+// Self-check for multi-ride posts. Run: node core/router.multiRide.test.mjs
+import assert from "assert";
+import { processMessage } from "./router.js";
+import { compileRoutingRules } from "./routingRules.js";
+import { GLOBAL_CONFIG } from "./globalConfig.js";
+
+// No pacing, and a single global rate-limit slot: a post must fit in it
+Object.assign(GLOBAL_CONFIG.humanBehavior, {
+  typingBasePerChar: 0, typingMin: 0, typingMax: 0, betweenMin: 0, betweenMax: 0, randomPauseChance: 0,
+});
+GLOBAL_CONFIG.rateLimits.hourly = 1;
+
+const SRC    = "120363000000000001@g.us";
+const PAID   = "120363000000000005@g.us";
+const MOHALI = "120363000000000007@g.us";
+const DELHI  = "120363000000000008@g.us";
+const FREE   = "120363000000000009@g.us";
+
+const { rules } = compileRoutingRules(
+  { rules: [{ name: "post", match: { source: "source" }, action: { targets: ["paid", "city"], delay: { minMs: 5, maxMs: 10 } } }] },
+  { sourceGroupIds: [SRC], freeCommonGroupId: FREE, cities: ["Mohali", "Delhi"], regions: [], vehicleClasses: [] }
+);
+const config = {
+  sourceGroupIds: [SRC], freeCommonGroupId: FREE, paidCommonGroupId: [PAID],
+  cityTargetGroups: { Mohali: MOHALI, Delhi: DELHI }, configuredCities: ["Mohali", "Delhi"],
+  requestKeywords: GLOBAL_CONFIG.requestKeywords, ignoreIfContains: [], blockedPhoneNumbers: [],
+  brandingSuffixes: [], routingRules: rules, runtime: null,
+};
+const stats = { sendsByGroup: {}, sendSuccesses: 0, sendFailures: 0, rejectedNoPhone: 0 };
+const lines = [];
+const log   = { info: (m) => lines.push(m), warn: (m) => lines.push(m), error: (m) => lines.push(m) };
+const sent  = [];
+const sock  = { sendMessage: async (groupId, { text }) => { sent.push([groupId, text]); } };
+
+const post = "1) Need cab Mohali to Delhi 9876543210\n2) Need cab Delhi to Mohali 9811122233";
+const result = await processMessage(sock, post, SRC, true, config, stats, log);
+
+// 1. Both rides routed on ONE rate-limit slot and ONE processing delay.
+assert.strictEqual(result.wasRouted, true);
+assert.deepStrictEqual(result.segments.map((s) => s.wasRouted), [true, true]);
+assert.strictEqual(stats.rejectedRateLimit, undefined, "second ride not rate-limited");
+assert.strictEqual(lines.filter((l) => l.startsWith("⏳ Processing delay")).length, 1);
+
+// 2. Paid groups get one message per ride (N copies, different rides); city groups their own ride.
+const to = (groupId) => sent.filter(([g]) => g === groupId).map(([, text]) => text.split("\n")[0]);
+assert.deepStrictEqual(to(PAID), ["Need cab Mohali to Delhi 9876543210", "Need cab Delhi to Mohali 9811122233"]);
+assert.deepStrictEqual(to(MOHALI), ["Need cab Mohali to Delhi 9876543210"]);
+assert.deepStrictEqual(to(DELHI), ["Need cab Delhi to Mohali 9811122233"]);
+
+// 3. The slot is used up: the next post is rate-limited as a whole.
+const next = await processMessage(sock, post.replace(/98/g, "97"), SRC, true, config, stats, log);
+assert.strictEqual(next.wasRouted, false);
+assert.strictEqual(stats.rejectedRateLimit, 1);
+
+// 4. Text-only gates run before the parse: a post with no phone is never parsed or logged.
+lines.length = 0;
+const noPhone = await processMessage(sock, "Need cab Mohali to Delhi, call me", SRC, true, config, stats, log);
+assert.strictEqual(noPhone.wasRouted, false);
+assert.strictEqual(noPhone.ride, undefined);
+assert.strictEqual(lines.some((l) => l.startsWith("🧾 Ride:")), false, "rejected post not parsed");
+
+console.log("✅ multi-ride posts: all checks passed");
+process.exit(0); // router.js keeps a cleanup interval running
@@ -0,0 +1,307 @@
+/**
+ * ============================================================================
+ * routingRules.js — declarative routing rules (bots/<bot>/rules.json)
+ * ============================================================================
+ * Where a ride goes used to be two hard-coded topologies in router.js:
+ * source → paid + city + free (Path A) and free → city (Path B). They are now
+ * the DEFAULT rule set below; a bot adds its own arrangements in rules.json:
+ *
+ *   {
+ *     "rules": [
+ *       { "name": "night-airport",
+ *         "match":  { "source": "source", "hours": "22:00-06:00", "keywords": ["airport"] },
+ *         "action": { "targets": ["city", "120363000000000000@g.us"], "delay": "fast" } },
+ *       { "name": "innova-only",
+ *         "match":  { "source": "source", "vehicle": ["innova"] },
+ *         "action": { "targets": ["paid", "vehicle"], "branding": ["— Innova Desk"] } }
+ *     ]
+ *   }
+ *
+ * Rules are tried IN ORDER; the first match decides. rules.json rules come
+ * first, then the defaults (PathA, PathB) — unless "defaults": false, in which
+ * case a message no rule matches is not routed.
+ *
+ * MATCH (all given conditions must hold; an empty match matches everything)
+ *   source    "source" (any sourceGroupIds) | "free" (freeCommonGroupId)
+ *             | ["<id>@g.us", ...] (those groups only)
+ *   city      ["Mohali", ...]  pickup city, any known city (city-aliases.json)
+ *   region    ["Tricity", ...] pickup region
+ *   vehicle   ["innova", ...]  vehicle class (filter.VEHICLE_CLASS_NAMES)
+ *   hours     "HH:MM-HH:MM"    IST time the message arrives; may wrap midnight
+ *   keywords  ["airport", ...] any of them in the message (case-insensitive)
+ *   scheduled true | false     ride has a future pickup time ("kal subah 5 baje")
+ *
+ * ACTION
+ *   targets   tokens resolved from config.json per ride — paid, city, drop,
+ *             region, vehicle, free — and/or literal "<id>@g.us" group IDs.
+ *             scheduledRides routing is applied on top, as before. A ride whose
+ *             targets resolve to nothing is dropped ("no city").
+ *   branding  "default" (config.brandingSuffixes) | "none" | ["suffix", ...]
+ *   delay     "normal" (2-7s) | "fast" (0.5-2s) | "none" | { "minMs", "maxMs" }
+ *             processing delay after the gates pass; send gaps are unchanged
+ *
+ * Pure — compiled by configLoader.js, evaluated by router.js.
+ * ============================================================================
+ */
+
+export const TARGET_TOKENS = ["paid", "city", "drop", "region", "vehicle", "free"];
+
+export const DELAY_PROFILES = {
+  normal: { minMs: 2000, maxMs: 7000 },
+  fast:   { minMs: 500,  maxMs: 2000 },
+  none:   { minMs: 0,    maxMs: 0 },
+};
+
+const MATCH_KEYS  = ["source", "city", "region", "vehicle", "hours", "keywords", "scheduled"];
+const ACTION_KEYS = ["targets", "branding", "delay"];
+
+const IST_OFFSET_MS = (5 * 60 + 30) * 60_000;
+const HOURS_RE      = /^([01]?\d|2[0-3]):([0-5]\d)\s*-\s*([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/** Today's hard-coded Path A / Path B topologies, as rules. */
+export const DEFAULT_RULES = [
+  {
+    name:   "PathA",
+    match:  { source: "source" },
+    action: { targets: ["paid", "city", "drop", "region", "vehicle", "free"] },
+  },
+  {
+    name:   "PathB",
+    match:  { source: "free" },
+    action: { targets: ["city"] },
+  },
+];
+
+const isGroupId      = (id) => typeof id === "string" && id.endsWith("@g.us") && id.length > 10;
+const isStringList   = (value) => Array.isArray(value) && value.length > 0 && value.every((v) => typeof v === "string" && v.trim());
+const normalizeWord  = (word) => word.normalize("NFC").toLowerCase().trim();
+
+/**
+ * Validates and compiles one rule. Pushes every problem onto errors (prefixed
+ * with the rule's label) and returns the compiled rule, or null when invalid.
+ *
+ * ctx (all optional — omitted lists are not checked):
+ *   sourceGroupIds, freeCommonGroupId, cities, regions, vehicleClasses
+ */
+function compileRule(raw, index, ctx, errors, builtIn) {
+  const label = `rule ${index + 1}${raw?.name ? ` "${raw.name}"` : ""}`;
+  const fail  = (msg) => errors.push(`${label}: ${msg}`);
+  const before = errors.length;
+
+  if (typeof raw !== "object" || raw === null || Array.isArray(raw)) {
+    fail("must be an object { name, match, action }");
+    return null;
+  }
+  if (typeof raw.name !== "string" || !raw.name.trim()) fail(`"name" must be a non-empty string`);
+
+  const match  = raw.match ?? {};
+  const action = raw.action;
+  if (typeof match !== "object" || match === null || Array.isArray(match)) {
+    fail(`"match" must be an object`);
+    return null;
+  }
+  if (typeof action !== "object" || action === null || Array.isArray(action)) {
+    fail(`"action" must be an object with "targets"`);
+    return null;
+  }
+  for (const key of Object.keys(match)) {
+    if (!MATCH_KEYS.includes(key)) fail(`unknown match condition "${key}" (use: ${MATCH_KEYS.join(", ")})`);
+  }
+  for (const key of Object.keys(action)) {
+    if (!ACTION_KEYS.includes(key)) fail(`unknown action "${key}" (use: ${ACTION_KEYS.join(", ")})`);
+  }
+
+  const rule = { name: raw.name, builtIn, match: {}, action: {} };
+
+  // ── match ──
+  if (match.source !== undefined) {
+    if (match.source === "source" || match.source === "free") {
+      rule.match.source = match.source;
+    } else if (Array.isArray(match.source) && match.source.length > 0 && match.source.every(isGroupId)) {
+      const monitored = ctx.sourceGroupIds && [...ctx.sourceGroupIds, ctx.freeCommonGroupId];
+      const unknown   = monitored ? match.source.filter((id) => !monitored.includes(id)) : [];
+      if (unknown.length) fail(`source group(s) not monitored by this bot (never match): ${unknown.join(", ")}`);
+      rule.match.source = new Set(match.source);
+    } else {
+      fail(`match.source must be "source", "free" or an array of @g.us group IDs`);
+    }
+  }
+
+  const checkList = (key, known, what) => {
+    if (match[key] === undefined) return;
+    if (!isStringList(match[key])) {
+      fail(`match.${key} must be a non-empty array of strings`);
+      return;
+    }
+    const unknown = known ? match[key].filter((v) => !known.includes(v)) : [];
+    if (unknown.length) fail(`unknown ${what} in match.${key}: ${unknown.join(", ")}`);
+    rule.match[key] = new Set(match[key]);
+  };
+  checkList("city", ctx.cities, "city");
+  checkList("region", ctx.regions, "region");
+  checkList("vehicle", ctx.vehicleClasses, "vehicle class");
+
+  if (match.hours !== undefined) {
+    const m = typeof match.hours === "string" ? match.hours.trim().match(HOURS_RE) : null;
+    if (!m) fail(`match.hours must be "HH:MM-HH:MM" (IST), e.g. "22:00-06:00"`);
+    else {
+      const from = Number(m[1]) * 60 + Number(m[2]);
+      const to   = Number(m[3]) * 60 + Number(m[4]);
+      if (from === to) fail(`match.hours is an empty range`);
+      rule.match.hours = { from, to, text: match.hours.trim() };
+    }
+  }
+
+  if (match.keywords !== undefined) {
+    if (!isStringList(match.keywords)) fail(`match.keywords must be a non-empty array of strings`);
+    else rule.match.keywords = match.keywords.map(normalizeWord);
+  }
+
+  if (match.scheduled !== undefined) {
+    if (typeof match.scheduled !== "boolean") fail(`match.scheduled must be true or false`);
+    else rule.match.scheduled = match.scheduled;
+  }
+
+  // ── action ──
+  if (!Array.isArray(action.targets) || action.targets.length === 0) {
+    fail(`action.targets must be a non-empty array of ${TARGET_TOKENS.join("/")} tokens or @g.us group IDs`);
+  } else {
+    const bad = action.targets.filter((t) => !TARGET_TOKENS.includes(t) && !isGroupId(t));
+    if (bad.length) fail(`unknown action.targets entries: ${bad.join(", ")} (use: ${TARGET_TOKENS.join(", ")} or @g.us IDs)`);
+    if (match.source === "free" && action.targets.includes("free")) {
+      fail(`targets "free" on a rule matching the free group would echo rides back into it`);
+    }
+    rule.action.targets = [...new Set(action.targets)];
+  }
+
+  const branding = action.branding ?? "default";
+  if (branding === "default" || branding === "none") rule.action.branding = branding;
+  else if (isStringList(branding)) rule.action.branding = [...branding];
+  else fail(`action.branding must be "default", "none" or an array of suffix strings`);
+
+  const delay = action.delay ?? "normal";
+  if (typeof delay === "string") {
+    if (!DELAY_PROFILES[delay]) fail(`action.delay must be one of ${Object.keys(DELAY_PROFILES).join(", ")} or { minMs, maxMs }`);
+    else rule.action.delay = { name: delay, ...DELAY_PROFILES[delay] };
+  } else if (
+    typeof delay === "object" && delay !== null &&
+    Number.isInteger(delay.minMs) && Number.isInteger(delay.maxMs) &&
+    delay.minMs >= 0 && delay.maxMs >= delay.minMs
+  ) {
+    rule.action.delay = { name: `${delay.minMs}-${delay.maxMs}ms`, minMs: delay.minMs, maxMs: delay.maxMs };
+  } else {
+    fail(`action.delay { minMs, maxMs } must be integers with 0 ≤ minMs ≤ maxMs`);
+  }
+
+  return errors.length === before ? rule : null;
+}
+
+/**
+ * Compiles a rules.json object (or undefined when the bot has none) into the
+ * ordered rule list router.js evaluates: the file's rules, then DEFAULT_RULES
+ * unless "defaults": false.
+ *
+ * @param {Object|undefined} data - Parsed rules.json
+ * @param {Object} [ctx]          - Lists to validate names/IDs against (see compileRule)
+ * @returns {{ errors: string[], rules: Object[], customCount: number }}
+ */
+export function compileRoutingRules(data, ctx = {}) {
+  const errors = [];
+  const rules  = [];
+
+  if (data !== undefined) {
+    if (typeof data !== "object" || data === null || Array.isArray(data)) {
+      return { errors: [`rules.json must be an object { "rules": [...] }`], rules: [], customCount: 0 };
+    }
+    if (!Array.isArray(data.rules)) errors.push(`"rules" must be an array`);
+    if (data.defaults !== undefined && typeof data.defaults !== "boolean") errors.push(`"defaults" must be true or false`);
+
+    (Array.isArray(data.rules) ? data.rules : []).forEach((raw, i) => {
+      const rule = compileRule(raw, i, ctx, errors, false);
+      if (rule) rules.push(rule);
+    });
+  }
+
+  const customCount = rules.length;
+  if (data?.defaults !== false) {
+    DEFAULT_RULES.forEach((raw, i) => rules.push(compileRule(raw, i, {}, errors, true)));
+  }
+
+  if (rules.length === 0 && errors.length === 0) {
+    errors.push(`"defaults": false with no rules — nothing would ever be routed`);
+  }
+
+  // Names key the per-rule stats, so they must be unique (defaults included)
+  const names = rules.map((r) => r.name);
+  for (const name of new Set(names.filter((n, i) => names.indexOf(n) !== i))) {
+    errors.push(`duplicate rule name "${name}"`);
+  }
+  return { errors, rules, customCount };
+}
+
+/** The default rule set, compiled — used when a config carries no routingRules. */
+export const DEFAULT_ROUTING_RULES = compileRoutingRules(undefined).rules;
+
+/** Minutes since midnight, IST. */
+function istMinuteOfDay(now) {
+  return Math.floor((now + IST_OFFSET_MS) / 60_000) % 1440;
+}
+
+/**
+ * Whether a compiled rule matches.
+ *
+ * @param {Object} rule
+ * @param {Object} ctx
+ * @param {string}  ctx.sourceGroup - Group the message came from
+ * @param {boolean} ctx.isPathA     - true = a source group, false = freeCommonGroup
+ * @param {Object}  ctx.ride        - filter.parseRide() result
+ * @param {number}  [ctx.now]       - Arrival time (ms), for "hours"
+ */
+export function ruleMatches(rule, { sourceGroup, isPathA, ride, now = Date.now() }) {
+  const m = rule.match;
+
+  if (m.source === "source" && !isPathA) return false;
+  if (m.source === "free" && isPathA) return false;
+  if (m.source instanceof Set && !m.source.has(sourceGroup)) return false;
+
+  if (m.city && !m.city.has(ride.pickupCity)) return false;
+  if (m.region && !m.region.has(ride.pickupRegion)) return false;
+  if (m.vehicle && !m.vehicle.has(ride.vehicleClass)) return false;
+  if (m.scheduled !== undefined && ride.scheduled !== m.scheduled) return false;
+
+  if (m.hours) {
+    const minute = istMinuteOfDay(now);
+    const inside = m.hours.from < m.hours.to
+      ? minute >= m.hours.from && minute < m.hours.to
+      : minute >= m.hours.from || minute < m.hours.to; // wraps midnight
+    if (!inside) return false;
+  }
+
+  if (m.keywords) {
+    const text = ride.text.normalize("NFC").toLowerCase();
+    if (!m.keywords.some((keyword) => text.includes(keyword))) return false;
+  }
+
+  return true;
+}
+
+/** First rule that matches, or null. */
+export function findRule(rules, ctx) {
+  return rules.find((rule) => ruleMatches(rule, ctx)) || null;
+}
+
+/** One-line summary for logs and explain: `night-airport [source, 22:00-06:00, keywords] → city, …` */
+export function describeRule(rule) {
+  const m = rule.match;
+  const conditions = [
+    m.source instanceof Set ? `${m.source.size} group(s)` : m.source,
+    m.city && `city ${[...m.city].join("/")}`,
+    m.region && `region ${[...m.region].join("/")}`,
+    m.vehicle && `vehicle ${[...m.vehicle].join("/")}`,
+    m.hours && m.hours.text,
+    m.keywords && `keywords ${m.keywords.join("/")}`,
+    m.scheduled !== undefined && (m.scheduled ? "scheduled" : "immediate"),
+  ].filter(Boolean);
+  const targets = rule.action.targets.map((t) => (TARGET_TOKENS.includes(t) ? t : `${t.substring(0, 10)}…`));
+  return `${rule.name}${rule.builtIn ? " (default)" : ""} [${conditions.join(", ") || "any"}] → ${targets.join(", ")}`;
+}
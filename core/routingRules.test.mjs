@@ -0,0 +1,77 @@
+// Self-check for the routing rules engine. Run: node core/routingRules.test.mjs
+import assert from "assert";
+import { compileRoutingRules, findRule, ruleMatches, DEFAULT_ROUTING_RULES } from "./routingRules.js";
+
+const SRC  = "120363000000000001@g.us";
+const SRC2 = "120363000000000002@g.us";
+const FREE = "120363000000000009@g.us";
+const CTX  = {
+  sourceGroupIds: [SRC, SRC2], freeCommonGroupId: FREE,
+  cities: ["Mohali", "Delhi", "Zirakpur"], regions: ["Tricity", "NCR"], vehicleClasses: ["innova", "sedan"],
+};
+const ride = (overrides = {}) => ({
+  text: "Need cab Mohali to Delhi 9876543210", pickupCity: "Mohali", pickupRegion: "Tricity",
+  vehicleClass: null, scheduled: false, ...overrides,
+});
+// 2026-10-19 23:30 IST
+const NIGHT = Date.parse("2026-10-19T23:30:00+05:30");
+const NOON  = Date.parse("2026-10-19T12:00:00+05:30");
+
+// 1. No rules.json → the defaults reproduce Path A / Path B.
+assert.deepStrictEqual(DEFAULT_ROUTING_RULES.map((r) => r.name), ["PathA", "PathB"]);
+assert.strictEqual(findRule(DEFAULT_ROUTING_RULES, { sourceGroup: SRC, isPathA: true, ride: ride() }).name, "PathA");
+assert.strictEqual(findRule(DEFAULT_ROUTING_RULES, { sourceGroup: FREE, isPathA: false, ride: ride() }).name, "PathB");
+assert.deepStrictEqual(DEFAULT_ROUTING_RULES[1].action.targets, ["city"], "Path B default: pickup city only — no paid, drop, region or free echo");
+assert.deepStrictEqual(DEFAULT_ROUTING_RULES[0].action.delay, { name: "normal", minMs: 2000, maxMs: 7000 });
+
+// 2. rules.json rules come first, in order; the defaults stay as the fallback.
+let { errors, rules, customCount } = compileRoutingRules({
+  rules: [
+    { name: "night-airport", match: { source: "source", hours: "22:00-06:00", keywords: ["Airport"] },
+      action: { targets: ["city", "120363000000000077@g.us"], delay: "fast" } },
+    { name: "innova-src2", match: { source: [SRC2], vehicle: ["innova"] }, action: { targets: ["paid", "vehicle"], branding: "none" } },
+    { name: "tricity-scheduled", match: { region: ["Tricity"], scheduled: true }, action: { targets: ["region"] } },
+  ],
+}, CTX);
+assert.deepStrictEqual(errors, []);
+assert.strictEqual(customCount, 3);
+assert.deepStrictEqual(rules.map((r) => r.name), ["night-airport", "innova-src2", "tricity-scheduled", "PathA", "PathB"]);
+
+const pick = (isPathA, sourceGroup, r, now = NOON) => findRule(rules, { sourceGroup, isPathA, ride: r, now }).name;
+const airport = ride({ text: "Mohali AIRPORT to Delhi 9876543210" });
+assert.strictEqual(pick(true, SRC, airport, NIGHT), "night-airport");
+assert.strictEqual(pick(true, SRC, airport, NOON), "PathA", "outside the hours window");
+assert.strictEqual(pick(true, SRC, airport, Date.parse("2026-10-20T05:59:00+05:30")), "night-airport", "window wraps midnight");
+assert.strictEqual(pick(true, SRC2, ride({ vehicleClass: "innova" })), "innova-src2");
+assert.strictEqual(pick(true, SRC, ride({ vehicleClass: "innova" })), "PathA", "other source group");
+assert.strictEqual(pick(false, FREE, ride({ scheduled: true })), "tricity-scheduled", "no source condition → any group");
+assert.strictEqual(pick(false, FREE, ride({ scheduled: true, pickupRegion: "NCR" })), "PathB");
+assert.strictEqual(rules[0].action.delay.maxMs, 2000);
+assert.strictEqual(rules[1].action.branding, "none");
+
+// 3. "defaults": false → unmatched messages are not routed; empty rule sets are refused.
+({ rules } = compileRoutingRules({ defaults: false, rules: [{ name: "only-innova", match: { vehicle: ["innova"] }, action: { targets: ["paid"] } }] }, CTX));
+assert.strictEqual(findRule(rules, { sourceGroup: SRC, isPathA: true, ride: ride() }), null);
+assert.ok(ruleMatches(rules[0], { sourceGroup: SRC, isPathA: true, ride: ride({ vehicleClass: "innova" }) }));
+assert.strictEqual(compileRoutingRules({ defaults: false, rules: [] }, CTX).errors.length, 1);
+
+// 4. Every problem is reported, with the rule it belongs to.
+({ errors } = compileRoutingRules({
+  rules: [
+    { name: "bad", match: { source: [SRC, "120363000000000055@g.us"], city: ["Atlantis"], hours: "9-17", colour: "red" },
+      action: { targets: ["city", "everyone"], delay: { minMs: 5, maxMs: 1 } } },
+    { name: "echo", match: { source: "free" }, action: { targets: ["free"] } },
+    { name: "PathB", action: { targets: ["paid"] } },
+  ],
+}, CTX));
+assert.ok(errors.some((e) => e.startsWith('rule 1 "bad": source group(s) not monitored')));
+assert.ok(errors.some((e) => e.includes("unknown city in match.city: Atlantis")));
+assert.ok(errors.some((e) => e.includes("match.hours must be")));
+assert.ok(errors.some((e) => e.includes('unknown match condition "colour"')));
+assert.ok(errors.some((e) => e.includes("unknown action.targets entries: everyone")));
+assert.ok(errors.some((e) => e.includes("action.delay { minMs, maxMs }")));
+assert.ok(errors.some((e) => e.startsWith('rule 2 "echo"') && e.includes("echo")));
+assert.ok(errors.includes('duplicate rule name "PathB"'));
+assert.strictEqual(compileRoutingRules([]).errors.length, 1);
+
+console.log("✅ routingRules: all checks passed");
@@ -0,0 +1,128 @@
+/**
+ * ============================================================================
+ * sendQueue.js — disk-backed outbound queue (one job per message × target)
+ * ============================================================================
+ * router.js enqueues every (message, target group) pair as a job and a single
+ * worker drains the queue with the usual typing / gap / cooldown delays. The
+ * queue is journaled to `send-queue.jsonl` in the bot directory, so a crash or
+ * PM2 restart in the middle of a 12-group fan-out picks up where it stopped
+ * instead of losing the remaining groups.
+ *
+ * JOURNAL (append-only, one record per line):
+ *
+ *   {"op":"add","job":{"id","batchId","groupId","text","label","createdAt","notBefore"?}}
+ *   {"op":"done","id":"..."}
+ *
+ * Replayed on load; a torn last line (crash mid-write) is skipped. The file is
+ * truncated whenever the queue empties and rewritten once enough "done"
+ * records pile up, so it stays small. Jobs are kept in insertion order — FIFO,
+ * except that a job with a `notBefore` time (tier embargo) is passed over
+ * until it is due.
+ *
+ * Without a file (scripts, tests) the queue is in-memory only. The max-age
+ * cutoff for stale jobs is applied by the worker (GLOBAL_CONFIG.sendQueue).
+ * ============================================================================
+ */
+
+import { readFileSync, writeFileSync, appendFileSync, existsSync } from "fs";
+
+const COMPACT_AFTER_DONE = 500; // rewrite the journal after this many "done" records
+
+/**
+ * @param {Object} [options]
+ * @param {string|null} [options.file] - Journal path; null = in-memory only
+ * @param {Object}      [options.log]  - Logger for journal I/O problems
+ */
+export function createSendQueue({ file = null, log = null } = {}) {
+  const jobs = new Map(); // id → job (insertion-ordered = send order)
+  let doneSinceCompact = 0;
+  let restored = 0;
+
+  function write(records) {
+    if (!file) return;
+    try {
+      appendFileSync(file, records.map((r) => JSON.stringify(r)).join("\n") + "\n", "utf8");
+    } catch (err) {
+      log?.warn(`⚠️  send-queue.jsonl write failed (queue kept in memory): ${err.message}`);
+    }
+  }
+
+  function compact() {
+    doneSinceCompact = 0;
+    if (!file) return;
+    try {
+      const lines = [...jobs.values()].map((job) => JSON.stringify({ op: "add", job }) + "\n");
+      writeFileSync(file, lines.join(""), "utf8");
+    } catch (err) {
+      log?.warn(`⚠️  send-queue.jsonl compaction failed: ${err.message}`);
+    }
+  }
+
+  // Replay the journal from the previous run
+  if (file && existsSync(file)) {
+    try {
+      for (const line of readFileSync(file, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (_) {
+          continue; // torn write from a crash
+        }
+        if (record.op === "add" && record.job?.id && record.job.groupId) jobs.set(record.job.id, record.job);
+        else if (record.op === "done") jobs.delete(record.id);
+      }
+      restored = jobs.size;
+      compact();
+    } catch (err) {
+      log?.warn(`⚠️  send-queue.jsonl unreadable — starting with an empty queue: ${err.message}`);
+    }
+  }
+
+  return {
+    /** Appends jobs at the back of the queue (journaled before they are visible). */
+    add(newJobs) {
+      if (newJobs.length === 0) return;
+      write(newJobs.map((job) => ({ op: "add", job })));
+      for (const job of newJobs) jobs.set(job.id, job);
+    },
+
+    /** Oldest pending job that is due at `now`, or null. */
+    peek(now = Date.now()) {
+      for (const job of jobs.values()) {
+        if (!(job.notBefore > now)) return job;
+      }
+      return null;
+    },
+
+    /** Earliest time a pending job becomes due (now-or-past when one is due), or null. */
+    nextDueAt() {
+      let next = null;
+      for (const job of jobs.values()) {
+        const due = job.notBefore ?? job.createdAt;
+        if (next === null || due < next) next = due;
+      }
+      return next;
+    },
+
+    /** Removes a job for good (sent, failed or expired). */
+    complete(id) {
+      if (!jobs.delete(id)) return;
+      if (jobs.size === 0 || ++doneSinceCompact >= COMPACT_AFTER_DONE) compact();
+      else write([{ op: "done", id }]);
+    },
+
+    pending() {
+      return [...jobs.values()];
+    },
+
+    get size() {
+      return jobs.size;
+    },
+
+    /** Jobs found in the journal at load time (left over from the previous run). */
+    get restored() {
+      return restored;
+    },
+  };
+}
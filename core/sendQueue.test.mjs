@@ -0,0 +1,56 @@
+// Self-check for the outbound send queue journal. Run: node core/sendQueue.test.mjs
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createSendQueue } from "./sendQueue.js";
+
+const dir  = fs.mkdtempSync(path.join(os.tmpdir(), "send-queue-"));
+const file = path.join(dir, "send-queue.jsonl");
+const job  = (id, groupId) => ({ id, batchId: "b1", groupId, text: "Mohali to Delhi\n9876543210", label: "PathA-Mohali", createdAt: 1 });
+
+try {
+  // 1. FIFO order, completion removes the job.
+  let queue = createSendQueue({ file });
+  queue.add([job("b1-0", "g1@g.us"), job("b1-1", "g2@g.us"), job("b1-2", "g3@g.us")]);
+  assert.strictEqual(queue.size, 3);
+  assert.strictEqual(queue.peek().groupId, "g1@g.us");
+  queue.complete("b1-0");
+  queue.complete("b1-0"); // twice is a no-op
+  assert.strictEqual(queue.peek().groupId, "g2@g.us");
+
+  // 2. A restart replays the journal: only the unsent jobs come back, text intact.
+  fs.appendFileSync(file, '{"op":"add","job":{"id":"torn'); // crash mid-write
+  queue = createSendQueue({ file });
+  assert.strictEqual(queue.restored, 2);
+  assert.deepStrictEqual(queue.pending().map((j) => j.id), ["b1-1", "b1-2"]);
+  assert.strictEqual(queue.peek().text, "Mohali to Delhi\n9876543210");
+  assert.strictEqual(fs.readFileSync(file, "utf8").trim().split("\n").length, 2, "compacted on load");
+
+  // 3. Emptying the queue truncates the journal.
+  queue.complete("b1-1");
+  queue.complete("b1-2");
+  assert.strictEqual(queue.peek(), null);
+  assert.strictEqual(fs.readFileSync(file, "utf8"), "");
+  assert.strictEqual(createSendQueue({ file }).restored, 0);
+
+  // 4. Embargoed jobs wait their turn without blocking the rest.
+  queue.add([{ ...job("b2-0", "free@g.us"), notBefore: 500 }, job("b2-1", "paid@g.us")]);
+  assert.strictEqual(queue.peek(100).groupId, "paid@g.us");
+  assert.strictEqual(queue.nextDueAt(), 1);
+  queue.complete("b2-1");
+  assert.strictEqual(queue.peek(100), null);
+  assert.strictEqual(queue.nextDueAt(), 500);
+  assert.strictEqual(queue.peek(500).groupId, "free@g.us");
+  assert.strictEqual(createSendQueue({ file }).peek(0), null, "embargo survives a restart");
+  queue.complete("b2-0");
+
+  // 5. No file → in-memory only.
+  const memory = createSendQueue();
+  memory.add([job("m-0", "g1@g.us")]);
+  assert.strictEqual(memory.size, 1);
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log("✅ sendQueue: all checks passed");
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * aliases.js — validate core/city-aliases.json and report routing coverage
+ * ============================================================================
+ * Run before committing (or after hand-editing on a VM) an alias change.
+ * Running bots hot-reload the file; a file with errors is rejected by them too
+ * (they keep the previous map), so this is the place to see WHY.
+ *
+ * USAGE
+ *   node scripts/aliases.js            Validate + coverage report
+ *   node scripts/aliases.js --json     Same, machine-readable
+ *
+ * REPORTS
+ *   ❌ errors    alias listed under two cities, malformed entries
+ *   ⚠️  warnings  alias shadowing another city's canonical name, multi-word
+ *                alias its own first word(s) already resolve elsewhere, dupes
+ *   🗺️  regions   each region's cities and which bots have a region group
+ *   🏙️  coverage  cities in the alias file with no cityTargetGroups entry (and
+ *                no regionTargetGroups entry for their region) in ANY bot
+ *                (bots/<bot>/config.json), and configured cities the alias
+ *                file doesn't know
+ *
+ * Exit code: 1 when there are errors, 0 otherwise (warnings don't fail).
+ * ============================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { validateCityAliases } from "../core/cityAliasRules.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_FILE = path.join(__dirname, "..", "core", "city-aliases.json");
+const BOTS_DIR  = path.join(__dirname, "..", "bots");
+
+const asJson = process.argv.includes("--json");
+
+// Read the file directly (not via core/cityAliases.js, which throws on errors —
+// the whole point here is to list them)
+let data;
+try {
+  data = JSON.parse(fs.readFileSync(DATA_FILE, "utf8"));
+} catch (err) {
+  console.error(`❌ ${DATA_FILE}: ${err.message}`);
+  process.exit(1);
+}
+
+const { errors, warnings, aliases, cities, regions, cityRegions } = validateCityAliases(data);
+
+// ── Coverage: which cities does any bot route (own city group or a region group)? ──
+const routedBy       = new Map(); // city → [bot, ...]
+const regionRoutedBy = new Map(); // region → [bot, ...]
+for (const bot of fs.readdirSync(BOTS_DIR)) {
+  const configFile = path.join(BOTS_DIR, bot, "config.json");
+  if (!fs.existsSync(configFile)) continue;
+  try {
+    const { cityTargetGroups = {}, regionTargetGroups = {} } = JSON.parse(fs.readFileSync(configFile, "utf8"));
+    for (const city of Object.keys(cityTargetGroups)) {
+      routedBy.set(city, [...(routedBy.get(city) || []), bot]);
+    }
+    for (const region of Object.keys(regionTargetGroups)) {
+      regionRoutedBy.set(region, [...(regionRoutedBy.get(region) || []), bot]);
+      if (!regions[region]) errors.push(`bots/${bot}: regionTargetGroups uses unknown region "${region}"`);
+    }
+  } catch (err) {
+    warnings.push(`bots/${bot}/config.json unreadable: ${err.message}`);
+  }
+}
+const unrouted = cities.filter((city) => !routedBy.has(city) && !regionRoutedBy.has(cityRegions[city]));
+const unknown  = [...routedBy.keys()].filter((city) => !cities.includes(city));
+
+if (asJson) {
+  console.log(JSON.stringify({
+    aliases: Object.keys(aliases).length,
+    cities: cities.length,
+    regions,
+    errors,
+    warnings,
+    routed: Object.fromEntries(routedBy),
+    regionRouted: Object.fromEntries(regionRoutedBy),
+    unrouted,
+    unknownConfiguredCities: unknown,
+  }, null, 2));
+  process.exit(errors.length ? 1 : 0);
+}
+
+console.log(
+  `📚 city-aliases.json: ${Object.keys(aliases).length} aliases, ${cities.length} cities, ` +
+  `${Object.keys(regions).length} regions`
+);
+for (const [region, members] of Object.entries(regions)) {
+  const bots = regionRoutedBy.get(region);
+  console.log(`   🗺️  ${region}: ${members.join(", ")} — ${bots ? `region group in ${bots.join(", ")}` : "no region group"}`);
+}
+
+for (const error of errors) console.log(`❌ ${error}`);
+for (const warning of warnings) console.log(`⚠️  ${warning}`);
+
+console.log(`🏙️  Routed by at least one bot (city or region group): ${cities.length - unrouted.length}/${cities.length}`);
+if (unrouted.length) {
+  console.log(`   No target group in any bot (${unrouted.length}): ${unrouted.join(", ")}`);
+}
+for (const city of unknown) {
+  console.log(`⚠️  "${city}" is in cityTargetGroups (${routedBy.get(city).join(", ")}) but not in city-aliases.json — only its exact name matches`);
+}
+
+if (errors.length) {
+  console.log(`❌ ${errors.length} error(s) — running bots will keep their previous alias map`);
+  process.exit(1);
+}
+console.log(`✅ city-aliases.json valid${warnings.length ? ` (${warnings.length} warning(s))` : ""}`);
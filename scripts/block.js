@@ -16,6 +16,18 @@
  *   node scripts/block.js --ignore --check <text>  Check ignore phrase(s)
  *
  *   node scripts/block.js --list                   List counts (+ --sender/--ignore)
+ *   node scripts/block.js --prune                  Remove expired rules from the file
+ *
+ * RULE OPTIONS (any add command; stored as a rich { pattern, type, ... } entry)
+ *   --regex                   Treat the input as a regex ("j\s*[o0]\s*b"), not a
+ *                             number/phrase. Case-insensitive. For number lists
+ *                             it is tested against each 10-digit number.
+ *   --expires <24h|7d|30m|ISO>  Rule stops applying after this (bots drop it
+ *                             automatically — no edit/restart needed)
+ *   --reason "<text>"         Why it was added (shown in --list)
+ *   --by <name>               Who added it
+ *
+ *   node scripts/block.js --ignore --regex --expires 7d --reason "job spam" "j\s*[o0]\s*b"
  *
  * NUMBER FORMATS ACCEPTED (quoted OR split across shell args, comma-separated):
  *   9053648269            +918920836257           "+91 77079 30908"
@@ -29,11 +41,14 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import {
+  BLOCK_LIST_KEYS, entryPattern, entryType, entryExpiry, isEntryExpired, validateEntry,
+} from "../core/blockRules.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_FILE = path.join(__dirname, "..", "core", "blocked-data.json");
 
-const KEYS = ["blockedPhoneNumbers", "blockedSenders", "ignoreIfContains"];
+const KEYS = BLOCK_LIST_KEYS;
 
 // ---------------------------------------------------------------------------
 // Load / save
@@ -57,6 +72,14 @@ function load() {
       console.error(`❌ blocked-data.json key "${k}" must be an array.`);
       process.exit(1);
     }
+    for (const entry of data[k]) {
+      try {
+        validateEntry(k, entry);
+      } catch (err) {
+        console.error(`❌ blocked-data.json: ${err.message}`);
+        process.exit(1);
+      }
+    }
   }
   return data;
 }
@@ -137,18 +160,72 @@ function parsePhrases(args) {
     .filter((p) => p.length > 0);
 }
 
+// ---------------------------------------------------------------------------
+// Rule options
+// ---------------------------------------------------------------------------
+// "24h" / "7d" / "30m" → ISO timestamp that far from now; anything else must
+// parse as a date.
+
+function parseExpires(value) {
+  const rel = /^(\d+)\s*([mhd])$/i.exec(value || "");
+  if (rel) {
+    const unitMs = { m: 60_000, h: 3_600_000, d: 86_400_000 }[rel[2].toLowerCase()];
+    return new Date(Date.now() + Number(rel[1]) * unitMs).toISOString();
+  }
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    console.error(`❌ --expires "${value}" is not a duration (24h, 7d, 30m) or a date.`);
+    process.exit(1);
+  }
+  return new Date(ms).toISOString();
+}
+
+function describeEntry(key, entry, now = Date.now()) {
+  if (typeof entry === "string") return entry;
+  const expiry = entryExpiry(entry);
+  const parts = [entryPattern(entry), `[${entryType(key, entry)}]`];
+  if (expiry !== null) parts.push(isEntryExpired(entry, now) ? "(EXPIRED)" : `(until ${new Date(expiry).toISOString()})`);
+  if (entry.reason)  parts.push(`— ${entry.reason}`);
+  if (entry.addedBy) parts.push(`by ${entry.addedBy}`);
+  return parts.join(" ");
+}
+
+// Does an ACTIVE entry match this input (exact pattern, or regex test)?
+function entryMatches(key, entry, input, now = Date.now()) {
+  if (isEntryExpired(entry, now)) return false;
+  return entryType(key, entry) === "regex"
+    ? new RegExp(entryPattern(entry), "iu").test(input)
+    : entryPattern(entry) === input;
+}
+
 // ---------------------------------------------------------------------------
 // Arg parsing
 // ---------------------------------------------------------------------------
+// Value options (--expires/--reason/--by) take the NEXT arg (or --opt=value).
 
+const VALUE_OPTIONS = new Set(["--expires", "--reason", "--by"]);
 const argv = process.argv.slice(2);
-const flags = new Set(argv.filter((a) => a.startsWith("--")));
-const positional = argv.filter((a) => !a.startsWith("--"));
+const flags = new Set();
+const options = {};
+const positional = [];
+for (let i = 0; i < argv.length; i++) {
+  const arg = argv[i];
+  const [name, inline] = arg.split(/=(.*)/s);
+  if (VALUE_OPTIONS.has(name)) {
+    options[name.slice(2)] = inline !== undefined ? inline : argv[++i];
+  } else if (arg.startsWith("--")) {
+    flags.add(arg);
+  } else {
+    positional.push(arg);
+  }
+}
 
 const isSender = flags.has("--sender");
 const isIgnore = flags.has("--ignore");
 const isCheck = flags.has("--check");
 const isList = flags.has("--list");
+const isPrune = flags.has("--prune");
+const isRegex = flags.has("--regex");
 
 const targetKey = isIgnore
   ? "ignoreIfContains"
@@ -162,23 +239,55 @@ const label = isIgnore
   ? "blocked sender"
   : "blocked number";
 
+// Rich-entry metadata — null when no rule option was given (plain string entry)
+const meta = {
+  ...(isRegex ? { type: "regex" } : {}),
+  ...(options.expires ? { expiresAt: parseExpires(options.expires) } : {}),
+  ...(options.reason ? { reason: options.reason } : {}),
+  ...(options.by ? { addedBy: options.by } : {}),
+};
+const makeEntry = (pattern) => (Object.keys(meta).length ? { pattern, ...meta } : pattern);
+
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
 
 const data = load();
 
+// ---- PRUNE ----
+if (isPrune) {
+  let removed = 0;
+  for (const k of KEYS) {
+    const before = data[k].length;
+    data[k] = data[k].filter((e) => !isEntryExpired(e));
+    removed += before - data[k].length;
+  }
+  if (removed > 0) save(data);
+  console.log(`🧹 Removed ${removed} expired rule${removed === 1 ? "" : "s"}${removed ? "" : " (file not rewritten)"}`);
+  process.exit(0);
+}
+
 // ---- LIST ----
 if (isList) {
   const list = data[targetKey];
   console.log(`📋 ${targetKey}: ${list.length} entr${list.length === 1 ? "y" : "ies"}`);
-  for (const item of list) console.log(`   ${item}`);
+  for (const item of list) console.log(`   ${describeEntry(targetKey, item)}`);
   process.exit(0);
 }
 
-// Parse the inputs for the chosen target
+// Parse the inputs for the chosen target (regex rules are taken verbatim)
 let inputs, invalid = [];
-if (isIgnore) {
+if (isRegex && !isCheck) {
+  inputs = positional.map((p) => p.trim()).filter(Boolean);
+  for (const pattern of inputs) {
+    try {
+      validateEntry(targetKey, { pattern, type: "regex" });
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+  }
+} else if (isIgnore) {
   inputs = parsePhrases(positional);
 } else {
   const parsed = parseNumbers(positional);
@@ -192,12 +301,17 @@ if (inputs.length === 0 && invalid.length === 0) {
   process.exit(1);
 }
 
-const existing = new Set(data[targetKey]);
+const existing = new Set(data[targetKey].map(entryPattern));
 
 // ---- CHECK ----
+// Numbers are tested against active entries (regex rules included); ignore
+// phrases are checked for an identical entry.
 if (isCheck) {
   for (const item of inputs) {
-    console.log(existing.has(item) ? `🔴 BLOCKED   ${item}` : `🟢 not listed ${item}`);
+    const hit = data[targetKey].find((e) =>
+      isIgnore ? entryPattern(e).normalize("NFC").toLowerCase() === item && !isEntryExpired(e) : entryMatches(targetKey, e, item)
+    );
+    console.log(hit ? `🔴 BLOCKED   ${item}${typeof hit === "string" ? "" : `  ← ${describeEntry(targetKey, hit)}`}` : `🟢 not listed ${item}`);
   }
   for (const bad of invalid) console.log(`⚠️  invalid    "${bad}"`);
   process.exit(0);
@@ -212,16 +326,17 @@ for (const item of inputs) {
     already.push(item);
   } else {
     existing.add(item);
-    data[targetKey].push(item);
+    data[targetKey].push(makeEntry(item));
     added.push(item);
   }
 }
 
 if (added.length > 0) save(data);
 
-console.log(`\n📊 ${label} — results:`);
+console.log(`\n📊 ${label}${isRegex ? " (regex)" : ""} — results:`);
 if (added.length)   console.log(`   ✅ added (${added.length}):          ${added.join(", ")}`);
 if (already.length) console.log(`   ⏭️  already present (${already.length}): ${already.join(", ")}`);
 if (invalid.length) console.log(`   ⚠️  invalid (${invalid.length}):        ${invalid.map((x) => `"${x}"`).join(", ")}`);
+if (added.length && meta.expiresAt) console.log(`   ⌛ expires ${meta.expiresAt}`);
 console.log(`   📁 ${targetKey} now has ${data[targetKey].length} entries`);
 if (added.length === 0) console.log(`   (file not rewritten — nothing new)`);
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * explain.js — dry-run one message through a bot's filter gates
+ * ============================================================================
+ * Answers "why didn't this ride forward?" without sending anything. Runs the
+ * same gate sequence as handleMessage → processPathA/B (router.explainMessage)
+ * against the bot's real config.json + blocked-data.json, then prints each gate,
+ * the parsed ride and the target groups it would go to.
+ *
+ * USAGE
+ *   node scripts/explain.js "<message text>" --bot bot-taxi
+ *   node scripts/explain.js "<message text>" --bot bot-taxi --path B
+ *   node scripts/explain.js "<message text>" --bot bot-taxi --sender 9876543210
+ *   node scripts/explain.js "<message text>" --bot bot-taxi --group 1203...@g.us
+ *   node scripts/explain.js "<message text>" --bot bot-taxi --json
+ *
+ *   --bot <name>     Bot directory under bots/ (default: bot-taxi)
+ *   --path A|B       A = from a source group (default), B = from freeCommonGroup
+ *   --sender <num>   Also run the blocked-sender check for this phone
+ *   --group <id>     Source group the message came from (rules.json rules that
+ *                    match group IDs); sets --path from the bot's config
+ *   --json           Machine-readable output
+ *
+ * Multi-ride posts (Path A) are explained once per ride segment.
+ * Dedup caches and the rate limiter are live bot state — reported as "skip".
+ * Exit code: 0 = would route, 2 = stopped at a gate, 1 = usage/config error.
+ * ============================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { formatIstTime } from "../core/filter.js";
+import { renderRide } from "../core/rideTemplates.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BOTS_DIR  = path.join(__dirname, "..", "bots");
+
+// ---------------------------------------------------------------------------
+// Args
+// ---------------------------------------------------------------------------
+
+const argv = process.argv.slice(2);
+const opts = { bot: "bot-taxi", path: "A", sender: "", group: "", json: false };
+const words = [];
+
+for (let i = 0; i < argv.length; i++) {
+  const arg = argv[i];
+  const [flag, inline] = arg.startsWith("--") ? arg.split(/=(.*)/s) : [arg];
+  const value = () => (inline !== undefined ? inline : argv[++i]);
+
+  if (flag === "--json")        opts.json = true;
+  else if (flag === "--bot")    opts.bot = value();
+  else if (flag === "--path")   opts.path = String(value() || "").toUpperCase();
+  else if (flag === "--sender") opts.sender = value() || "";
+  else if (flag === "--group")  opts.group = value() || "";
+  else if (flag === "--help" || flag === "-h") usage(0);
+  else if (flag.startsWith("--")) {
+    console.error(`❌ Unknown option: ${flag}`);
+    usage(1);
+  } else words.push(arg);
+}
+
+const text = words.join(" ");
+if (!text.trim()) usage(1);
+if (!["A", "B"].includes(opts.path)) {
+  console.error(`❌ --path must be A or B (got "${opts.path}")`);
+  process.exit(1);
+}
+
+const botDir = path.join(BOTS_DIR, opts.bot || "");
+if (!opts.bot || !fs.existsSync(path.join(botDir, "config.json"))) {
+  console.error(`❌ No bot config at ${path.join(botDir, "config.json")}`);
+  console.error(`   Bots: ${fs.readdirSync(BOTS_DIR).filter((d) => fs.existsSync(path.join(BOTS_DIR, d, "config.json"))).join(", ")}`);
+  process.exit(1);
+}
+
+function usage(code) {
+  console.log(`Usage: node scripts/explain.js "<message text>" [--bot bot-taxi] [--path A|B] [--sender <num>] [--group <id>] [--json]`);
+  process.exit(code);
+}
+
+// ---------------------------------------------------------------------------
+// Load the bot exactly as start.js does (startup banners muted)
+// ---------------------------------------------------------------------------
+
+const silentLog = { info() {}, warn() {}, error() {}, debug() {} };
+const consoleLog = console.log;
+console.log = () => {};
+
+let config;
+let explainMessage;
+try {
+  const { loadConfig }       = await import("../core/configLoader.js");
+  const { initRuntimeState } = await import("../core/runtimeState.js");
+  ({ explainMessage }        = await import("../core/router.js"));
+
+  ({ config } = loadConfig(botDir));
+  config.botDir  = botDir;
+  config.runtime = initRuntimeState(botDir, silentLog);
+} finally {
+  console.log = consoleLog;
+}
+
+if (opts.group) {
+  if (opts.group === config.freeCommonGroupId) opts.path = "B";
+  else if (config.sourceGroupIds.includes(opts.group)) opts.path = "A";
+  else {
+    console.error(`❌ ${opts.group} is not a source group or the free common group of ${opts.bot}`);
+    process.exit(1);
+  }
+}
+
+const result = explainMessage(text, config, {
+  isPathA: opts.path === "A", sender: opts.sender, sourceGroup: opts.group || undefined,
+});
+
+// ---------------------------------------------------------------------------
+// Output
+// ---------------------------------------------------------------------------
+
+if (opts.json) {
+  const summarize = (res) => ({
+    ...res,
+    ride: res.ride && {
+      pickupCity: res.ride.pickupCity, dropCity: res.ride.dropCity,
+      routePickupCity: res.ride.routePickupCity, routeDropCity: res.ride.routeDropCity,
+      pickupRegion: res.ride.pickupRegion, dropRegion: res.ride.dropRegion,
+      vehicleClass: res.ride.vehicleClass, intent: res.ride.intent,
+      timeText: res.ride.timeText, pickupAt: res.ride.pickupAt, scheduled: res.ride.scheduled,
+      phones: res.ride.phones, confidence: res.ride.confidence,
+    },
+    ...(res.segments && { segments: res.segments.map(summarize) }),
+  });
+  console.log(JSON.stringify({ bot: opts.bot, ...summarize(result) }, null, 2));
+  process.exit(result.wouldRoute ? 0 : 2);
+}
+
+// Reverse lookup: group id → the config key that points at it
+const groupLabels = new Map();
+const label = (id, name) => { if (id && !groupLabels.has(id)) groupLabels.set(id, name); };
+for (const id of config.paidCommonGroupId) label(id, "paid");
+for (const [city, id] of Object.entries(config.cityTargetGroups)) label(id, `city:${city}`);
+for (const [region, ids] of Object.entries(config.regionTargetGroups || {})) ids.forEach((id) => label(id, `region:${region}`));
+for (const [cls, ids] of Object.entries(config.vehicleTargetGroups || {})) ids.forEach((id) => label(id, `vehicle:${cls}`));
+for (const id of config.scheduledRides?.targetGroups || []) label(id, "scheduled");
+for (const id of config.supplyPosts?.targetGroups || []) label(id, "supply");
+label(config.freeCommonGroupId, "free");
+for (const rule of config.routingRules || []) {
+  rule.action.targets.filter((t) => t.endsWith("@g.us")).forEach((id) => label(id, `rule:${rule.name}`));
+}
+
+const ICONS = { pass: "✅", fail: "❌", skip: "➖" };
+
+function printResult(res) {
+  const gateWidth = Math.max(...res.steps.map((s) => s.gate.length));
+  for (const s of res.steps) {
+    console.log(`${ICONS[s.result]} ${s.gate.padEnd(gateWidth)}  ${s.detail}`);
+  }
+
+  if (res.ride) {
+    const r = res.ride;
+    console.log("");
+    console.log(`🧾 Ride:    ${r.pickupCity || "?"} → ${r.dropCity || "?"} | ${r.intent} | vehicle=${r.vehicleClass || "-"} | conf=${r.confidence}`);
+    if (r.timeText) {
+      console.log(`⏰ Time:    ${r.timeText}${r.pickupAt ? ` (${formatIstTime(r.pickupAt)})` : ""}${r.scheduled ? " [scheduled]" : ""}`);
+    }
+  }
+
+  if (res.targets.length) {
+    console.log("");
+    console.log(`🎯 Targets (${res.targets.length}):`);
+    for (const id of res.targets) {
+      const { transform, template } = config.targetSettings?.[id] || {};
+      const tags = [
+        template && `template ${template.name}`,
+        transform && `${transform.name}: phones ${transform.phones}`,
+      ].filter(Boolean);
+      console.log(`   • ${(groupLabels.get(id) || "?").padEnd(16)} ${id}${tags.length ? `  [${tags.join(" | ")}]` : ""}`);
+    }
+
+    // One preview per template in use (before phone transforms and branding)
+    const templates = new Set(res.targets.map((id) => config.targetSettings?.[id]?.template).filter(Boolean));
+    for (const template of templates) {
+      const { text: rendered, fallback } = renderRide(res.ride, template);
+      console.log("");
+      console.log(`📝 Template ${template.name}${fallback ? ` → raw text (${fallback})` : ":"}`);
+      if (!fallback) for (const line of rendered.split("\n")) console.log(`   ${line}`);
+    }
+  }
+  if (res.notAccepted?.length) {
+    console.log(`🚫 Not accepted (config.targetSettings):`);
+    for (const { groupId, reason } of res.notAccepted) {
+      console.log(`   • ${(groupLabels.get(groupId) || "?").padEnd(16)} ${groupId}  ${reason}`);
+    }
+  }
+}
+
+console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+console.log(`🔍 EXPLAIN: ${opts.bot} | Path ${result.path}${result.rule ? ` | rule ${result.rule}` : ""}`);
+console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+if (result.segments) {
+  // Multi-ride post: shared gates, then every ride segment on its own
+  const { segments, targets, ...shared } = result;
+  printResult({ ...shared, targets: [] });
+  segments.forEach((segment, i) => {
+    console.log("");
+    console.log(`── Ride ${i + 1}/${segments.length} ${segment.wouldRoute ? "✅" : `❌ stopped at ${segment.stoppedAt}`} ──`);
+    printResult(segment);
+  });
+} else {
+  printResult(result);
+}
+
+console.log("");
+console.log(result.wouldRoute
+  ? `✅ WOULD ROUTE to ${result.targets.length} group(s)`
+  : `❌ STOPPED at ${result.stoppedAt}`);
+
+// globalConfig/runtimeState keep file watchers open — exit explicitly
+process.exit(result.wouldRoute ? 0 : 2);